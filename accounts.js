@@ -0,0 +1,119 @@
+// accounts.js - rotate through a profile's accounts when the portal rejects one, says it is over quota or in use
+// loaded by service_worker.js via importScripts (uses its log helper, cachedConfig, settings, setBackoff,
+// requestCheck and notify).
+// Accounts are profileAccounts(p): the main username/password, then p.fallbackAccounts, by position.
+// Rotation state lives in chrome.storage.local `accountRotation` (no usernames, only positions):
+// { [profileId]: { current, signature, cooldowns: { [index]: { until, reason } } } }
+// `signature` is a hash of the account list; editing the accounts starts the rotation over.
+
+const ACCOUNT_ROTATION_KEY = 'accountRotation';
+// portal answers that move on to the next account (without fallbacks, the first two stop auto-login instead)
+const ACCOUNT_ROTATE_OUTCOMES = ['bad_credentials', 'quota_exhausted', 'already_logged_in'];
+
+async function getAccountRotation() {
+  try {
+    const res = await chrome.storage.local.get([ACCOUNT_ROTATION_KEY]);
+    return (res && res[ACCOUNT_ROTATION_KEY]) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+async function setAccountRotation(profileId, entry) {
+  const all = await getAccountRotation();
+  if (entry) all[profileId] = entry;
+  else delete all[profileId];
+  await chrome.storage.local.set({ [ACCOUNT_ROTATION_KEY]: all });
+}
+
+// short non-reversible fingerprint of the account list (usernames never go to storage)
+function accountsSignature(accounts) {
+  let h = 0;
+  const s = accounts.map(a => a.username).join('\n');
+  for (let i = 0; i < s.length; i++) h = (h * 31 + s.charCodeAt(i)) | 0;
+  return accounts.length + ':' + (h >>> 0).toString(36);
+}
+
+function hasFallbackAccounts(p) {
+  return profileAccounts(p).length > 1;
+}
+
+async function rotationFor(p) {
+  const accounts = profileAccounts(p);
+  const signature = accountsSignature(accounts);
+  const entry = (await getAccountRotation())[p.id];
+  if (entry && entry.signature === signature) return entry;
+  return { current: 0, signature, cooldowns: {} };
+}
+
+function coolingDown(entry, index, now) {
+  const c = entry.cooldowns[index];
+  return !!c && c.until > now;
+}
+
+// the account to log in with: the current one unless cooling down, else the next free one in order
+// (`ignoreCooldowns`: the current one regardless, for a manual Test login).
+// returns { profile, cfg (profile copy with that account's credentials), index, total } or { index: -1, until }
+async function pickAccount(p, ignoreCooldowns = false) {
+  const accounts = profileAccounts(p);
+  const entry = await rotationFor(p);
+  const now = Date.now();
+  for (let k = 0; k < accounts.length; k++) {
+    const index = (entry.current + k) % accounts.length;
+    if (coolingDown(entry, index, now) && !ignoreCooldowns) continue;
+    if (index !== entry.current) {
+      entry.current = index;
+      await setAccountRotation(p.id, entry);
+    }
+    const a = accounts[index];
+    return { profile: p, cfg: Object.assign({}, p, { username: a.username, password: a.password }), index, total: accounts.length };
+  }
+  return { index: -1, total: accounts.length, until: Math.min(...Object.values(entry.cooldowns).map(c => c.until)) };
+}
+
+// put the account at `index` on cooldown after `verdict`; returns { next } (-1: every account is cooling down).
+// `p` is the profile itself, not the copy pickAccount made for the login
+async function rotateAccount(p, index, verdict) {
+  const entry = await rotationFor(p);
+  const cd = settings.accountCooldown;
+  const minutes = verdict.outcome === 'bad_credentials' ? cd.rejectedMin : (verdict.outcome === 'quota_exhausted' ? cd.quotaMin : cd.inUseMin);
+  entry.cooldowns[index] = { until: Date.now() + minutes * 60 * 1000, reason: verdict.outcome };
+  entry.current = (index + 1) % profileAccounts(p).length;
+  await setAccountRotation(p.id, entry);
+  const origin = originOf(p.loginUrl || '');
+  const next = await pickAccount(p);
+  journal('account', origin, 'info', { profile: p.name, account: index + 1, outcome: verdict.outcome, cooldownMin: minutes, next: next.index + 1 });
+  if (next.index >= 0) {
+    log('account', index + 1, 'of', p.name, verdict.outcome, '; trying account', next.index + 1);
+    await setBackoff(0);
+    requestCheck('account_rotated', p);
+  } else {
+    // nothing to try until the first cooldown ends
+    await setBackoff(Math.max(1, Math.round((next.until - Date.now()) / 1000)));
+    await notify('accounts-cooling:' + p.id, `${p.name}: all ${next.total} accounts are rejected, over quota or in use. Auto-login tries again at ${new Date(next.until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}.`, {
+      buttons: ['credentials', 'openPortal'], click: 'credentials', profileId: p.id
+    });
+  }
+  return { next: next.index };
+}
+
+// a login with the account at `index` worked: it stays current and is no longer cooling down
+async function noteAccountSuccess(p, index) {
+  const entry = await rotationFor(p);
+  entry.current = index;
+  delete entry.cooldowns[index];
+  await setAccountRotation(p.id, entry);
+  await clearNotification('accounts-cooling:' + p.id);
+}
+
+// for the popup: { index, total, username, cooldowns: [{ index, username, until, reason }] } or null
+async function accountStatus(p) {
+  if (!p || !hasFallbackAccounts(p)) return null;
+  const accounts = profileAccounts(p);
+  const entry = await rotationFor(p);
+  const now = Date.now();
+  const cooldowns = Object.keys(entry.cooldowns).map(Number).filter(i => coolingDown(entry, i, now) && accounts[i])
+    .map(i => ({ index: i, username: accounts[i].username, until: entry.cooldowns[i].until, reason: entry.cooldowns[i].reason }));
+  const current = accounts[entry.current] ? entry.current : 0;
+  return { index: current, total: accounts.length, username: accounts[current].username, cooldowns };
+}
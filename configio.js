@@ -0,0 +1,179 @@
+// configio.js - portal configuration export/import (used by the options page, together with profiles.js)
+// file: { format: 'wifi-autologin-config', version, exportedAt, includesCredentials, defaultProfileId, profiles: [...] }
+// Only the portal set-up is exported; lastMode/hardFailure are this browser's state. Credentials are optional.
+// Imported profiles are matched to existing ones by id, then by portal origin; matched profiles keep their
+// id, so credentials already held for them (worker memory, vault) stay attached unless the file brings new ones.
+
+const CONFIG_FORMAT = 'wifi-autologin-config';
+const CONFIG_VERSION = 1;
+
+const EXPORT_FIELDS = ['name', 'loginUrl', 'userField', 'passField', 'submitField', 'extraFields', 'loginMode', 'macro', 'logoutUrl', 'logoutMacro', 'sessionMinutes', 'outcomePatterns', 'pickedFields', 'schedule'];
+const MACRO_ACTIONS = ['fill', 'select', 'check', 'click', 'submit', 'wait_load'];
+const PATTERN_OUTCOMES = ['bad_credentials', 'quota_exhausted', 'already_logged_in', 'success'];
+
+function exportConfig(cfg, includeCredentials) {
+  const n = normalizeConfig(cfg);
+  return {
+    format: CONFIG_FORMAT,
+    version: CONFIG_VERSION,
+    exportedAt: new Date().toISOString(),
+    includesCredentials: !!includeCredentials,
+    defaultProfileId: n.defaultProfileId,
+    profiles: n.profiles.map(p => {
+      const out = { id: p.id };
+      EXPORT_FIELDS.forEach(k => { out[k] = p[k]; });
+      if (includeCredentials && hasCredentials(p)) Object.assign(out, { username: p.username, password: p.password, fallbackAccounts: p.fallbackAccounts, remember: !!p.remember });
+      return out;
+    })
+  };
+}
+
+function isHttpLoginUrl(str) {
+  try { return /^https?:$/.test(new URL(str).protocol); } catch (e) { return false; }
+}
+
+// returns a list of problems with one exported profile (empty when it is usable)
+function validateProfile(p, label) {
+  const errors = [];
+  const isStr = v => typeof v === 'string';
+  if (!p || typeof p !== 'object' || Array.isArray(p)) return [`${label}: not an object.`];
+  if (!isStr(p.name) || !p.name.trim()) errors.push(`${label}: missing name.`);
+  if (!isHttpLoginUrl(p.loginUrl)) errors.push(`${label}: loginUrl must be an http(s) URL.`);
+  ['id', 'userField', 'passField', 'submitField', 'username', 'password'].forEach(k => {
+    if (p[k] !== undefined && !isStr(p[k])) errors.push(`${label}: ${k} must be text.`);
+  });
+  ['userField', 'passField', 'submitField'].forEach(k => {
+    if (isStr(p[k])) parseLocatorSpec(p[k]).errors.forEach(e => errors.push(`${label}: ${k}: ${e}`));
+  });
+  // a list of { name, value, mode }, or the JSON object string older versions exported
+  if (isStr(p.extraFields) && p.extraFields.trim()) {
+    let extras = null;
+    try { extras = JSON.parse(p.extraFields); } catch (e) { /* reported below */ }
+    if (!extras || typeof extras !== 'object' || Array.isArray(extras)) errors.push(`${label}: extraFields must be a JSON object.`);
+  } else if (Array.isArray(p.extraFields)) {
+    p.extraFields.forEach((f, i) => {
+      if (!f || !isStr(f.name) || !f.name.trim()) errors.push(`${label}: extra field ${i + 1} has no name.`);
+      else if (f.value !== undefined && !isStr(f.value)) errors.push(`${label}: extra field "${f.name}" value must be text.`);
+      else if (f.mode !== undefined && !EXTRA_FIELD_MODES.includes(f.mode)) errors.push(`${label}: extra field "${f.name}" mode must be ${EXTRA_FIELD_MODES.join(' or ')}.`);
+    });
+  } else if (p.extraFields !== undefined && !isStr(p.extraFields)) {
+    errors.push(`${label}: extraFields must be a list.`);
+  }
+  if (p.fallbackAccounts !== undefined) {
+    if (!Array.isArray(p.fallbackAccounts)) errors.push(`${label}: fallbackAccounts must be a list.`);
+    else p.fallbackAccounts.forEach((a, i) => {
+      if (!a || !isStr(a.username) || !a.username.trim() || (a.password !== undefined && !isStr(a.password))) errors.push(`${label}: fallback account ${i + 1} needs a username and a text password.`);
+    });
+  }
+  if (p.loginMode !== undefined && !['tab', 'direct'].includes(p.loginMode)) errors.push(`${label}: loginMode must be "tab" or "direct".`);
+  if (p.remember !== undefined && typeof p.remember !== 'boolean') errors.push(`${label}: remember must be true or false.`);
+  ['macro', 'logoutMacro'].forEach(k => {
+    if (p[k] === undefined) return;
+    if (!Array.isArray(p[k])) errors.push(`${label}: ${k} must be a list of steps.`);
+    else p[k].forEach((s, i) => {
+      if (!s || !MACRO_ACTIONS.includes(s.action)) errors.push(`${label}: ${k} step ${i + 1} has an unknown action.`);
+      else if (s.action !== 'wait_load' && (!isStr(s.selector) || !s.selector)) errors.push(`${label}: ${k} step ${i + 1} has no selector.`);
+    });
+  });
+  if (p.sessionMinutes !== undefined && !(Number.isInteger(p.sessionMinutes) && p.sessionMinutes >= 0 && p.sessionMinutes <= MAX_SESSION_MINUTES)) {
+    errors.push(`${label}: sessionMinutes must be a whole number of minutes (0 = unknown).`);
+  }
+  if (p.logoutUrl !== undefined && p.logoutUrl !== '' && !isHttpLoginUrl(p.logoutUrl)) errors.push(`${label}: logoutUrl must be an http(s) URL.`);
+  if (p.outcomePatterns !== undefined) {
+    const pats = p.outcomePatterns;
+    if (!pats || typeof pats !== 'object' || Array.isArray(pats)) errors.push(`${label}: outcomePatterns must be an object.`);
+    else Object.keys(pats).forEach(k => {
+      if (!PATTERN_OUTCOMES.includes(k) || !isStr(pats[k])) { errors.push(`${label}: outcomePatterns.${k} is not supported.`); return; }
+      pats[k].split('\n').map(l => l.trim()).filter(Boolean).forEach(src => {
+        try { new RegExp(src, 'i'); } catch (e) { errors.push(`${label}: invalid pattern for ${k}: ${src}`); }
+      });
+    });
+  }
+  if (p.schedule !== undefined && p.schedule !== null && !normalizeSchedule(p.schedule)) {
+    errors.push(`${label}: schedule needs different "from" and "to" times as HH:MM.`);
+  }
+  if (p.pickedFields !== undefined && p.pickedFields !== null) {
+    const pf = p.pickedFields;
+    const isLocator = l => l && Array.isArray(l.path) && l.path.length && l.path.every(s => isStr(s) && s) && (l.frame === undefined || isStr(l.frame));
+    if (typeof pf !== 'object' || !isLocator(pf.user) || !isLocator(pf.pass) || (pf.submit && !isLocator(pf.submit))) {
+      errors.push(`${label}: pickedFields must hold user, pass and optionally submit locators.`);
+    }
+  }
+  return errors;
+}
+
+// parse and validate an exported file; returns { ok, errors, cfg, includesCredentials }
+function parseConfigFile(text) {
+  let data;
+  try { data = JSON.parse(text); } catch (e) { return { ok: false, errors: ['Not a JSON file.'] }; }
+  if (!data || data.format !== CONFIG_FORMAT) return { ok: false, errors: ['Not a WiFi AutoLogin configuration export.'] };
+  if (!Number.isInteger(data.version) || data.version < 1) return { ok: false, errors: ['Missing or invalid version.'] };
+  if (data.version > CONFIG_VERSION) return { ok: false, errors: [`Made by a newer version of the extension (format ${data.version}); update the extension first.`] };
+  if (!Array.isArray(data.profiles) || !data.profiles.length) return { ok: false, errors: ['The file contains no profiles.'] };
+
+  const errors = [];
+  const seen = new Set();
+  data.profiles.forEach((p, i) => {
+    const label = `Profile ${i + 1}` + (p && typeof p.name === 'string' && p.name ? ` ("${p.name}")` : '');
+    errors.push(...validateProfile(p, label));
+    if (p && p.id) {
+      if (seen.has(p.id)) errors.push(`${label}: duplicate id.`);
+      seen.add(p.id);
+    }
+  });
+  if (errors.length) return { ok: false, errors };
+
+  const profiles = data.profiles.map(p => {
+    const fields = { id: p.id || makeProfileId() };
+    EXPORT_FIELDS.forEach(k => { if (p[k] !== undefined) fields[k] = k === 'name' ? p.name.trim() : p[k]; });
+    if (hasCredentials(p)) Object.assign(fields, { username: p.username || '', password: p.password || '', fallbackAccounts: p.fallbackAccounts || [], remember: !!p.remember });
+    return newProfile(fields);
+  });
+  const cfg = normalizeConfig({ profiles, defaultProfileId: data.defaultProfileId });
+  return { ok: true, errors: [], cfg, includesCredentials: profiles.some(hasCredentials) };
+}
+
+// work out the resulting cfg and a change list; mode 'merge' keeps profiles missing from the file,
+// 'replace' drops them. change: { action: 'add' | 'update' | 'unchanged' | 'remove', name, fields, credentials }
+function planConfigImport(current, incoming, mode) {
+  const cur = normalizeConfig(current);
+  const changes = [];
+  const matchedIds = new Set();
+  const usedIds = new Set(cur.profiles.map(p => p.id));
+  const idMap = {};
+
+  const result = incoming.profiles.map(inc => {
+    const old = cur.profiles.find(p => p.id === inc.id && !matchedIds.has(p.id))
+      || cur.profiles.find(p => !matchedIds.has(p.id) && profileOrigin(p) === profileOrigin(inc));
+    if (!old) {
+      const id = usedIds.has(inc.id) ? makeProfileId() : inc.id;
+      usedIds.add(id);
+      idMap[inc.id] = id;
+      changes.push({ action: 'add', name: inc.name, fields: [], credentials: hasCredentials(inc) ? 'from file' : 'none' });
+      return Object.assign({}, inc, { id });
+    }
+    matchedIds.add(old.id);
+    idMap[inc.id] = old.id;
+    const next = Object.assign({}, old);
+    const fields = EXPORT_FIELDS.filter(k => JSON.stringify(old[k]) !== JSON.stringify(inc[k]));
+    fields.forEach(k => { next[k] = inc[k]; });
+    let credentials = hasCredentials(old) || old.remember ? 'kept' : 'none';
+    if (hasCredentials(inc)) {
+      // a file without fallback accounts leaves the ones already set up alone
+      const fallbackAccounts = inc.fallbackAccounts && inc.fallbackAccounts.length ? inc.fallbackAccounts : old.fallbackAccounts || [];
+      Object.assign(next, { username: inc.username, password: inc.password, fallbackAccounts, remember: inc.remember });
+      credentials = 'from file';
+    }
+    // a changed set-up deserves a fresh try after a rejected login
+    if (fields.length || credentials === 'from file') next.hardFailure = null;
+    changes.push({ action: fields.length || credentials === 'from file' ? 'update' : 'unchanged', name: old.name, fields, credentials });
+    return next;
+  });
+
+  const kept = cur.profiles.filter(p => !matchedIds.has(p.id));
+  if (mode === 'replace') kept.forEach(p => changes.push({ action: 'remove', name: p.name, fields: [], credentials: hasCredentials(p) || p.remember ? 'dropped' : 'none' }));
+  const profiles = mode === 'replace' ? result : cur.profiles.map(p => result.find(r => r.id === p.id) || p).concat(result.filter(r => !findProfile(cur, r.id)));
+
+  const defaultProfileId = mode === 'replace' ? idMap[incoming.defaultProfileId] : cur.defaultProfileId;
+  return { cfg: normalizeConfig({ profiles, defaultProfileId }), changes };
+}
@@ -0,0 +1,187 @@
+// diagnose.js - "Run diagnostics": a dry run of portal detection that fills nothing in and submits nothing
+// loaded by service_worker.js via importScripts (uses its log/warn/sleep/fetchWithTimeout/originOf helpers,
+// cachedConfig, settings and the probes/keepalive/locate modules). The report is shown and downloaded by
+// diagnostics.html.
+// report: { generatedAt, extension, permissions, settings, profile, probes, redirects, frames, keepalive,
+//   session, journal, errors }
+// Passwords never enter the report: profile credentials are replaced and every input value in the form
+// snapshots is blanked (hidden inputs keep their names; their values can be session tokens).
+
+const DIAG_REDACTED = '[redacted]';
+const DIAG_NAV_TIMEOUT_MS = 15000;
+const DIAG_SETTLE_MS = 2000;
+const DIAG_JOURNAL_ENTRIES = 30;
+
+function redactProfile(p) {
+  if (!p) return null;
+  return Object.assign({}, p, {
+    password: p.password ? DIAG_REDACTED : '',
+    fallbackAccounts: (p.fallbackAccounts || []).map(a => ({ username: a.username, password: a.password ? DIAG_REDACTED : '' }))
+  });
+}
+
+// every probe on its own (the policy verdict only needs the first answer)
+async function diagnoseProbes() {
+  const results = await Promise.all(activeProbes(settings).map(async p => Object.assign({ url: p.url }, await runProbe(p, 4000))));
+  const verdict = await checkConnectivity(4000);
+  return { policy: settings.probes.policy, state: verdict.state, portalUrl: verdict.portalUrl, results };
+}
+
+// open `url` in a background tab and record every navigation until the page settles
+async function traceNavigation(url) {
+  const chain = [];
+  let tabId = null;
+  const onBefore = d => { if (d.tabId === tabId && d.frameId === 0) chain.push({ event: 'navigate', url: d.url, at: d.timeStamp }); };
+  const onCommit = d => {
+    if (d.tabId === tabId && d.frameId === 0) chain.push({ event: 'committed', url: d.url, transition: d.transitionType, qualifiers: d.transitionQualifiers, at: d.timeStamp });
+  };
+  const onError = d => { if (d.tabId === tabId && d.frameId === 0) chain.push({ event: 'error', url: d.url, error: d.error, at: d.timeStamp }); };
+  chrome.webNavigation.onBeforeNavigate.addListener(onBefore);
+  chrome.webNavigation.onCommitted.addListener(onCommit);
+  chrome.webNavigation.onErrorOccurred.addListener(onError);
+  try {
+    const tab = await chrome.tabs.create({ url, active: false });
+    tabId = tab.id;
+    await trackCreatedTab(tabId);
+    // meta refreshes and script redirects start new navigations after 'complete'; wait for a quiet spell
+    const start = Date.now();
+    let seen = -1;
+    while (Date.now() - start < DIAG_NAV_TIMEOUT_MS) {
+      await waitForTabLoaded(tabId, DIAG_NAV_TIMEOUT_MS - (Date.now() - start));
+      if (chain.length === seen) break;
+      seen = chain.length;
+      await sleep(DIAG_SETTLE_MS);
+    }
+    const finalUrl = (await chrome.tabs.get(tabId)).url || '';
+    return { tabId, startUrl: url, finalUrl, chain };
+  } finally {
+    chrome.webNavigation.onBeforeNavigate.removeListener(onBefore);
+    chrome.webNavigation.onCommitted.removeListener(onCommit);
+    chrome.webNavigation.onErrorOccurred.removeListener(onError);
+  }
+}
+
+// per frame: URL, input inventory, value-free form HTML and how each locator of the profile fares
+async function inventoryFrames(tabId, cfg) {
+  await injectLocateHelper(tabId);
+  const typed = {
+    user: parseLocatorSpec(cfg.userField).locators,
+    pass: parseLocatorSpec(cfg.passField).locators,
+    submit: parseLocatorSpec(cfg.submitField).locators
+  };
+  const results = await chrome.scripting.executeScript({
+    target: { tabId, allFrames: true },
+    func: (picked, typed, redacted) => {
+      const describe = el => {
+        const label = (el.labels && el.labels[0] && el.labels[0].innerText) || el.getAttribute('aria-label') || '';
+        const r = el.getBoundingClientRect();
+        return {
+          tag: el.tagName.toLowerCase(), type: el.type || '', name: el.name || '', id: el.id || '',
+          placeholder: el.getAttribute('placeholder') || '', autocomplete: el.getAttribute('autocomplete') || '',
+          label: label.trim().slice(0, 80), visible: r.width > 0 && r.height > 0, hasValue: !!el.value,
+          form: el.form ? Array.from(document.forms).indexOf(el.form) : -1
+        };
+      };
+      const KEEP_VALUE = /^(submit|button|reset|image|checkbox|radio)$/i;
+      const sanitize = root => {
+        const clone = root.cloneNode(true);
+        clone.querySelectorAll('script, style, noscript').forEach(n => n.remove());
+        clone.querySelectorAll('input, textarea, select, option').forEach(n => {
+          if (n.tagName === 'TEXTAREA') n.textContent = '';
+          else if (n.tagName === 'INPUT' && !KEEP_VALUE.test(n.type) && n.hasAttribute('value') && n.getAttribute('value')) n.setAttribute('value', redacted);
+        });
+        return clone.outerHTML.slice(0, 20000);
+      };
+      try {
+        const L = window.__wifiAutologinLocate;
+        const fields = Array.from(document.querySelectorAll('input, select, textarea, button')).slice(0, 80).map(describe);
+        const forms = Array.from(document.forms).slice(0, 10).map(f => ({
+          action: f.getAttribute('action') || '', method: (f.method || 'get').toLowerCase(), html: sanitize(f)
+        }));
+        const locators = {};
+        if (L) {
+          Object.keys(typed).forEach(k => { locators[k] = L.resolveTyped(typed[k], k !== 'submit').tried; });
+        }
+        const pickedHits = {};
+        if (L && picked) Object.keys(picked).forEach(k => { if (picked[k]) pickedHits[k] = L.frameMatches(picked[k]) ? !!L.resolve(picked[k]) : 'other frame'; });
+        return {
+          docUrl: location.href, top: window === window.top, title: document.title, readyState: document.readyState,
+          fields, forms, locators, picked: pickedHits,
+          // forms outside a <form> still need a snapshot; the body stands in, capped
+          bodyHtml: forms.length ? '' : sanitize(document.body || document.documentElement).slice(0, 8000)
+        };
+      } catch (e) {
+        return { docUrl: (location && location.href) || '(unknown)', error: String(e) };
+      }
+    },
+    args: [cfg.pickedFields || null, typed, DIAG_REDACTED]
+  });
+  return (results || []).map(r => (r && r.result) || { docUrl: '(unknown)', error: 'no result' });
+}
+
+async function runDiagnostics(profileId) {
+  await configReady;
+  await settingsReady;
+  const cfg = findProfile(cachedConfig, profileId) || getDefaultProfile(cachedConfig);
+  const manifest = chrome.runtime.getManifest();
+  const report = {
+    generatedAt: new Date().toISOString(),
+    extension: { name: manifest.name, version: manifest.version, userAgent: navigator.userAgent },
+    permissions: await chrome.permissions.getAll(),
+    settings,
+    profile: redactProfile(cfg),
+    errors: []
+  };
+  const step = async (key, fn) => {
+    try { report[key] = await fn(); } catch (e) { report.errors.push(`${key}: ${String(e)}`); }
+  };
+  log('diagnostics started for', cfg && cfg.name);
+
+  await step('probes', diagnoseProbes);
+  await step('redirects', async () => {
+    const fetched = await fetchWithTimeout(settings.probeUrl, null, 5000).then(r => ({ status: r.status, redirected: r.redirected, url: r.url }), e => ({ error: String(e) }));
+    return { probeUrl: settings.probeUrl, fetch: fetched };
+  });
+
+  let tabId = null;
+  try {
+    const trace = await traceNavigation(settings.probeUrl);
+    tabId = trace.tabId;
+    report.redirects = Object.assign(report.redirects || {}, { tab: { finalUrl: trace.finalUrl, chain: trace.chain } });
+    // not intercepted (already online, or the portal only answers on its own URL): inspect the login page itself
+    if (cfg && cfg.loginUrl && originOf(trace.finalUrl) === originOf(settings.probeUrl)) {
+      const login = await traceNavigation(cfg.loginUrl);
+      await chrome.tabs.remove(tabId).catch(() => {});
+      await untrackCreatedTab(tabId);
+      tabId = login.tabId;
+      report.redirects.loginPage = { finalUrl: login.finalUrl, chain: login.chain };
+    }
+    if (cfg) {
+      await step('frames', () => inventoryFrames(tabId, cfg));
+      await step('keepalive', async () => {
+        const page = await readTabPage(tabId);
+        const stored = (await getKeepaliveState())[cfg.id] || null;
+        return { detected: page ? extractKeepalive(page.url, page.html, originOf(cfg.loginUrl || '')) : null, active: stored };
+      });
+    }
+  } catch (e) {
+    report.errors.push('page: ' + String(e));
+  } finally {
+    if (tabId !== null) {
+      await chrome.tabs.remove(tabId).catch(() => {});
+      await untrackCreatedTab(tabId);
+    }
+  }
+
+  if (cfg) {
+    await step('session', async () => (await getSessions())[cfg.id] || null);
+    await step('journal', async () => {
+      const origin = originOf(cfg.loginUrl || '');
+      const res = await chrome.storage.local.get([JOURNAL_KEY]);
+      return ((res && res[JOURNAL_KEY]) || []).filter(e => !e.origin || e.origin === origin).slice(-DIAG_JOURNAL_ENTRIES);
+    });
+  }
+  journal('diagnostics', cfg ? originOf(cfg.loginUrl || '') : '', report.errors.length ? 'fail' : 'info', { profile: cfg && cfg.name, errors: report.errors });
+  log('diagnostics finished', report.errors);
+  return report;
+}
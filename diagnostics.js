@@ -0,0 +1,66 @@
+// diagnostics.js - runs the worker's diagnostics dry run (diagnose.js) and offers the report as a download
+function ui(id){ return document.getElementById(id); }
+
+let report = null;
+
+async function loadProfiles() {
+  const res = await chrome.runtime.sendMessage({ type: 'getConfig' });
+  const cfg = (res && res.cfg) || { profiles: [] };
+  const wanted = new URLSearchParams(location.search).get('profile') || cfg.defaultProfileId;
+  const sel = ui('profileSelect');
+  sel.innerHTML = '';
+  (cfg.profiles || []).forEach(p => {
+    const opt = document.createElement('option');
+    opt.value = p.id;
+    opt.textContent = p.name || p.loginUrl || p.id;
+    sel.appendChild(opt);
+  });
+  if ((cfg.profiles || []).some(p => p.id === wanted)) sel.value = wanted;
+}
+
+// same helpers as history.js
+function download(filename, mime, text) {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function stamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+async function run() {
+  ui('runBtn').disabled = true;
+  ui('downloadBtn').disabled = true;
+  ui('summary').innerText = 'Running… a background tab opens the probe URL and closes again (up to half a minute).';
+  ui('report').textContent = '';
+  try {
+    const res = await chrome.runtime.sendMessage({ type: 'runDiagnostics', profileId: ui('profileSelect').value || null });
+    if (!res || !res.ok) throw new Error((res && res.error) || 'no answer from the extension');
+    report = res.report;
+    const frames = (report.frames || []).length;
+    const probes = report.probes ? report.probes.state : 'unknown';
+    ui('summary').innerText = `Connectivity: ${probes}; ${frames} frame(s) inspected` + (report.errors.length ? `; ${report.errors.length} step(s) failed.` : '.');
+    ui('report').textContent = JSON.stringify(report, null, 2);
+    ui('downloadBtn').disabled = false;
+  } catch (e) {
+    ui('summary').innerText = 'Diagnostics failed: ' + (e && e.message || e);
+  } finally {
+    ui('runBtn').disabled = false;
+  }
+}
+
+function downloadReport() {
+  if (report) download(`wifi-autologin-diagnostics-${stamp()}.json`, 'application/json', JSON.stringify(report, null, 2));
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  ui('runBtn').addEventListener('click', run);
+  ui('downloadBtn').addEventListener('click', downloadReport);
+  loadProfiles();
+});
@@ -0,0 +1,144 @@
+// directlogin.js - tabless login: fetch the portal page, parse its form and POST it from the worker
+// loaded by service_worker.js via importScripts (uses its fetchWithTimeout/originOf/log helpers and `settings`).
+// The worker has no DOMParser, so the form is read with a small tag scanner; anything it cannot
+// make sense of returns { ok: false } and the caller falls back to the tab-injection path.
+
+function decodeEntities(s) {
+  return String(s || '')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&#x27;/gi, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+// attributes of a single start tag, lowercased names
+function parseTagAttrs(tag) {
+  const attrs = {};
+  const body = tag.replace(/^<\s*[a-z0-9]+/i, '').replace(/\/?>$/, '');
+  const re = /([^\s=<>"'\/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+  let m;
+  while ((m = re.exec(body))) {
+    const v = m[2] !== undefined ? m[2] : (m[3] !== undefined ? m[3] : (m[4] !== undefined ? m[4] : ''));
+    attrs[m[1].toLowerCase()] = decodeEntities(v);
+  }
+  return attrs;
+}
+
+// all forms in the document with their inputs (and selects, using the selected/first option)
+function parseForms(html) {
+  const forms = [];
+  const formRe = /<form\b[^>]*>([\s\S]*?)<\/form>/gi;
+  let fm;
+  while ((fm = formRe.exec(html))) {
+    const attrs = parseTagAttrs(fm[0].match(/^<form\b[^>]*>/i)[0]);
+    const inner = fm[1];
+    const inputs = (inner.match(/<input\b[^>]*>/gi) || []).map(t => {
+      const a = parseTagAttrs(t);
+      return { name: a.name || '', id: a.id || '', type: (a.type || 'text').toLowerCase(), value: a.value || '', checked: 'checked' in a };
+    });
+    const selRe = /<select\b([^>]*)>([\s\S]*?)<\/select>/gi;
+    let sm;
+    while ((sm = selRe.exec(inner))) {
+      const a = parseTagAttrs('<select ' + sm[1] + '>');
+      const options = (sm[2].match(/<option\b[^>]*>/gi) || []).map(parseTagAttrs);
+      const chosen = options.find(o => 'selected' in o) || options[0];
+      if (a.name) inputs.push({ name: a.name, id: a.id || '', type: 'select', value: chosen ? (chosen.value || '') : '', checked: false });
+    }
+    forms.push({ action: attrs.action || '', method: (attrs.method || 'GET').toUpperCase(), inputs });
+  }
+  return forms;
+}
+
+// pick the login form and build the submission for a profile; null when nothing usable was found
+function buildLoginSubmission(html, pageUrl, cfg) {
+  const forms = parseForms(html);
+  // only name:/id: locators make sense without a DOM; css/xpath/label/placeholder ones fall back to guessing
+  const userNames = fieldNamesFromSpec(cfg.userField);
+  const passNames = fieldNamesFromSpec(cfg.passField);
+  const byName = (f, names) => f.inputs.find(i => names.includes(i.name) || (i.id && names.includes(i.id)));
+  const form = forms.find(f => byName(f, passNames)) || forms.find(f => f.inputs.some(i => i.type === 'password'));
+  if (!form) return null;
+
+  const passInput = byName(form, passNames) || form.inputs.find(i => i.type === 'password');
+  let userInput = byName(form, userNames);
+  if (!userInput) {
+    userInput = form.inputs.find(i => i !== passInput && /user|login|email|username|id/i.test(i.name + ' ' + i.id) && (i.type === 'text' || i.type === 'email'))
+      || form.inputs.find(i => i !== passInput && (i.type === 'text' || i.type === 'email'));
+  }
+  if (!passInput || !passInput.name || !userInput || !userInput.name) return null;
+
+  const fields = new URLSearchParams();
+  form.inputs.forEach(i => {
+    if (!i.name) return;
+    if (['submit', 'button', 'image', 'reset', 'file'].includes(i.type)) return;
+    if ((i.type === 'checkbox' || i.type === 'radio') && !i.checked) return;
+    fields.set(i.name, i.value);
+  });
+  fields.set(userInput.name, cfg.username || '');
+  fields.set(passInput.name, cfg.password || '');
+  // {{input:...}} templates read the form as the portal served it
+  const served = new URLSearchParams(fields);
+  normalizeExtraFields(cfg.extraFields).forEach(f => {
+    const value = expandFieldTemplate(f.value, cfg, name => served.get(name) || '');
+    if (f.mode === 'add') fields.append(f.name, value);
+    else fields.set(f.name, value);
+  });
+
+  let action;
+  try { action = new URL(form.action || pageUrl, pageUrl).href; } catch (e) { return null; }
+  return { action, method: form.method === 'POST' ? 'POST' : 'GET', fields };
+}
+
+// fetch the login page; prefer the probe redirect since it carries per-session tokens (e.g. FortiGate fgtauth?<magic>)
+async function fetchLoginPage(cfg) {
+  const origin = originOf(cfg.loginUrl || '');
+  try {
+    const probe = await fetchWithTimeout(settings.probeUrl, null, 4000);
+    if (probe && originOf(probe.url) === origin) return { url: probe.url, html: await probe.text() };
+    // some portals answer the probe with a JS/meta redirect instead of an HTTP one
+    const body = probe ? await probe.text() : '';
+    const escaped = origin.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const m = origin && body.match(new RegExp(escaped + '[^"\'\\s<>]*'));
+    if (m) {
+      const r = await fetchWithTimeout(decodeEntities(m[0]), null, 5000);
+      return { url: r.url || m[0], html: await r.text() };
+    }
+  } catch (e) {
+    log('fetchLoginPage: probe redirect unavailable', e);
+  }
+  const res = await fetchWithTimeout(cfg.loginUrl, null, 5000);
+  return { url: res.url || cfg.loginUrl, html: await res.text() };
+}
+
+async function directPostLogin(cfg) {
+  let page;
+  try {
+    page = await fetchLoginPage(cfg);
+  } catch (e) {
+    return { ok: false, error: 'direct_fetch_failed:' + String(e) };
+  }
+  const sub = buildLoginSubmission(page.html, page.url, cfg);
+  if (!sub) return { ok: false, error: 'direct_form_not_parsed', pageUrl: page.url };
+
+  log('directPostLogin: submitting', sub.method, sub.action, 'fields=', Array.from(sub.fields.keys()));
+  try {
+    let res;
+    if (sub.method === 'POST') {
+      res = await fetchWithTimeout(sub.action, null, 8000, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: sub.fields.toString()
+      });
+    } else {
+      const u = new URL(sub.action);
+      sub.fields.forEach((v, k) => u.searchParams.set(k, v));
+      res = await fetchWithTimeout(u.href, null, 8000);
+    }
+    if (!res || res.status >= 400) return { ok: false, error: 'direct_http_' + (res ? res.status : 'none') };
+    const html = await res.text().catch(() => '');
+    return { ok: true, docUrl: res.url || sub.action, html };
+  } catch (e) {
+    return { ok: false, error: 'direct_submit_failed:' + String(e) };
+  }
+}
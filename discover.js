@@ -0,0 +1,148 @@
+// discover.js - notice a portal none of the profiles knows and offer a profile for it, pre-filled from its page
+// loaded by service_worker.js via importScripts (uses its log/warn/originOf helpers, cachedConfig, settings,
+// traceNavigation from diagnose.js, hasHostAccess from hostaccess.js and notify).
+// The probe page is opened in a background tab and followed through its redirects (webNavigation); where it
+// lands is the portal: its origin + path become the login URL. Field locators need host access to that portal;
+// without it they are detected once the user accepts the offer in the popup and grants access there.
+// Offers live in chrome.storage.local `discoveredPortals`:
+// { [origin]: { loginUrl, chain: [url, ...], fields: { userField, passField, submitField } | null, at, dismissed } }
+
+const DISCOVERED_KEY = 'discoveredPortals';
+const DISCOVERY_NOTIFICATION_PREFIX = 'discovered:';
+// a portal that was looked at is not traced again for this long (dismissed ones never)
+const DISCOVERY_RETRY_MS = 6 * 60 * 60 * 1000;
+// and no probe tab is opened for discovery more often than this at all
+const DISCOVERY_MIN_GAP_MS = 10 * 60 * 1000;
+
+let discoveryRunning = false;
+let lastDiscoveryAt = 0;
+
+async function getDiscoveries() {
+  try {
+    const res = await chrome.storage.local.get([DISCOVERED_KEY]);
+    return (res && res[DISCOVERED_KEY]) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+async function setDiscovery(origin, entry) {
+  const all = await getDiscoveries();
+  if (entry) all[origin] = entry;
+  else delete all[origin];
+  await chrome.storage.local.set({ [DISCOVERED_KEY]: all });
+}
+
+function recentlyDiscovered(entry) {
+  return !!entry && (entry.dismissed || Date.now() - entry.at < DISCOVERY_RETRY_MS);
+}
+
+// locator specs for the login form in any frame of `tabId` (the frame with a password field wins), or null
+async function detectLocatorsInTab(tabId) {
+  try {
+    const results = await chrome.scripting.executeScript({
+      target: { tabId, allFrames: true },
+      func: () => {
+        const visible = el => { const r = el.getBoundingClientRect(); return r.width > 0 && r.height > 0; };
+        const passes = Array.from(document.querySelectorAll('input[type="password"]'));
+        const pass = passes.find(visible) || passes[0];
+        if (!pass) return null;
+        const scope = pass.form || document;
+        const texts = Array.from(scope.querySelectorAll('input')).filter(i => i !== pass && /^(text|email|tel|number)?$/i.test(i.getAttribute('type') || ''));
+        const user = texts.find(i => visible(i) && /user|login|email|name|id|account/i.test((i.name || '') + ' ' + (i.id || '') + ' ' + (i.placeholder || '')))
+          || texts.find(visible) || null;
+        const submit = scope.querySelector('button[type="submit"], input[type="submit"], input[type="image"]') || scope.querySelector('button');
+        const label = el => (el.labels && el.labels[0] && el.labels[0].innerText.trim()) || '';
+        const spec = el => !el ? '' : el.name ? 'name:' + el.name : el.id ? 'id:' + el.id
+          : el.placeholder ? 'placeholder:' + el.placeholder : label(el) ? 'label:' + label(el) : '';
+        // a button without name or id is left to automatic detection
+        const submitSpec = !submit ? '' : submit.name ? 'name:' + submit.name : submit.id ? 'id:' + submit.id : '';
+        return { userField: spec(user), passField: spec(pass), submitField: submitSpec };
+      }
+    });
+    const found = (results || []).map(r => r && r.result).filter(Boolean);
+    return found.find(f => f.userField && f.passField) || found[0] || null;
+  } catch (e) {
+    log('detectLocatorsInTab failed', e);
+    return null;
+  }
+}
+
+// follow the probe page to the portal; offers a profile when the portal is new. `hintUrl` is where a
+// connectivity probe got redirected to, traced instead when the probe page itself is not intercepted
+async function discoverPortal(hintUrl = '') {
+  if (!settings.discoverPortals || discoveryRunning) return null;
+  const known = await getDiscoveries();
+  const hinted = originOf(hintUrl);
+  if (hinted && (findProfileByOrigin(cachedConfig, hinted) || recentlyDiscovered(known[hinted]))) return null;
+  if (Date.now() - lastDiscoveryAt < DISCOVERY_MIN_GAP_MS) return null;
+  discoveryRunning = true;
+  lastDiscoveryAt = Date.now();
+  let tabId = null;
+  try {
+    let trace = await traceNavigation(settings.probeUrl);
+    tabId = trace.tabId;
+    if (originOf(trace.finalUrl) === originOf(settings.probeUrl) && hintUrl) {
+      await chrome.tabs.remove(tabId).catch(() => {});
+      await untrackCreatedTab(tabId);
+      trace = await traceNavigation(hintUrl);
+      tabId = trace.tabId;
+    }
+    const origin = originOf(trace.finalUrl);
+    if (!/^https?:/.test(trace.finalUrl) || origin === originOf(settings.probeUrl)) {
+      log('discovery: the probe page was not redirected to a portal');
+      return null;
+    }
+    if (findProfileByOrigin(cachedConfig, origin) || recentlyDiscovered(known[origin])) return null;
+    const url = new URL(trace.finalUrl);
+    // the query usually carries a one-time token of this redirect
+    const loginUrl = url.origin + url.pathname;
+    const fields = await hasHostAccess(profileMatchPattern({ loginUrl })) ? await detectLocatorsInTab(tabId) : null;
+    const entry = { loginUrl, chain: trace.chain.filter(e => e.event === 'committed').map(e => e.url), fields, at: Date.now(), dismissed: false };
+    await setDiscovery(origin, entry);
+    journal('portal_detected', origin, 'info', { discovered: true, loginUrl, chain: entry.chain, fields });
+    log('discovered portal', loginUrl, fields);
+    await notify(DISCOVERY_NOTIFICATION_PREFIX + origin, `Found a login portal at ${url.host} that none of your profiles covers. Create a profile for it?`, {
+      buttons: ['createProfile', 'dismiss'], click: 'createProfile', url: loginUrl
+    });
+    return entry;
+  } catch (e) {
+    warn('discoverPortal failed', e);
+    return null;
+  } finally {
+    if (tabId !== null) {
+      await chrome.tabs.remove(tabId).catch(() => {});
+      await untrackCreatedTab(tabId);
+    }
+    discoveryRunning = false;
+  }
+}
+
+// for the popup, after the user granted access: load the portal page and detect its fields
+async function detectDiscoveredFields(origin) {
+  const entry = (await getDiscoveries())[origin];
+  if (!entry) return null;
+  if (entry.fields) return entry.fields;
+  let tabId = null;
+  try {
+    const tab = await chrome.tabs.create({ url: entry.loginUrl, active: false });
+    tabId = tab.id;
+    await trackCreatedTab(tabId);
+    await waitForTabLoaded(tabId, 15000);
+    entry.fields = await detectLocatorsInTab(tabId);
+    await setDiscovery(origin, entry);
+    return entry.fields;
+  } finally {
+    if (tabId !== null) {
+      await chrome.tabs.remove(tabId).catch(() => {});
+      await untrackCreatedTab(tabId);
+    }
+  }
+}
+
+// the offer was taken up or turned down; either way it is not made again
+async function dismissDiscovery(origin) {
+  const entry = (await getDiscoveries())[origin];
+  if (entry) await setDiscovery(origin, Object.assign(entry, { dismissed: true }));
+  await clearNotification(DISCOVERY_NOTIFICATION_PREFIX + origin);
+}
@@ -0,0 +1,120 @@
+// fieldpicker.js - worker side of the visual field picker (picker.js runs in the page)
+// loaded by service_worker.js via importScripts (uses its log/warn helpers, cachedConfig and patchProfile).
+// The pick in progress is kept in chrome.storage.session `fieldPicker`: { tabId, profileId, picks: { user, pass, submit } }
+// Finished picks are saved as profile.pickedFields and take precedence over userField/passField when
+// injecting (see locate.js for the locator format).
+
+const FIELD_PICKER_KEY = 'fieldPicker';
+const PICK_ROLES = ['user', 'pass', 'submit'];
+
+async function getPicker() {
+  try {
+    const res = await chrome.storage.session.get([FIELD_PICKER_KEY]);
+    return (res && res[FIELD_PICKER_KEY]) || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+async function setPicker(pick) {
+  if (pick) await chrome.storage.session.set({ [FIELD_PICKER_KEY]: pick });
+  else await chrome.storage.session.remove([FIELD_PICKER_KEY]);
+}
+
+// next field to pick; a skipped submit button is stored as null
+function nextPickRole(pick) {
+  return PICK_ROLES.find(r => !(r in pick.picks)) || null;
+}
+
+async function injectPicker(tabId) {
+  try {
+    await chrome.scripting.executeScript({ target: { tabId, allFrames: true }, files: ['picker.js'] });
+    return true;
+  } catch (e) {
+    warn('injectPicker failed', e);
+    return false;
+  }
+}
+
+// tell every frame which field comes next (null closes the overlays)
+function broadcastPickRole(tabId, role) {
+  chrome.tabs.sendMessage(tabId, { type: 'pickerState', role }).catch(() => {});
+}
+
+async function startFieldPicker(profileId, tabId) {
+  if (!findProfile(cachedConfig, profileId)) return { ok: false, error: 'unknown_profile' };
+  await setPicker({ tabId, profileId, picks: {} });
+  if (!(await injectPicker(tabId))) {
+    await setPicker(null);
+    return { ok: false, error: 'inject_failed' };
+  }
+  log('field picker started in tab', tabId, 'for profile', profileId);
+  return { ok: true };
+}
+
+async function cancelFieldPicker() {
+  const pick = await getPicker();
+  if (!pick) return { ok: false, error: 'not_picking' };
+  await setPicker(null);
+  broadcastPickRole(pick.tabId, null);
+  return { ok: true };
+}
+
+// record one pick (locator null = skipped); saves the profile once every field is picked
+async function recordPick(role, locator, tabId) {
+  const pick = await getPicker();
+  if (!pick || pick.tabId !== tabId || nextPickRole(pick) !== role) return { ok: false };
+  pick.picks[role] = locator;
+  const next = nextPickRole(pick);
+  if (next) {
+    await setPicker(pick);
+    broadcastPickRole(tabId, next);
+    return { ok: true, next };
+  }
+  await setPicker(null);
+  broadcastPickRole(tabId, null);
+  await finishFieldPicker(pick);
+  return { ok: true, done: true };
+}
+
+// `spec` with its name: locator pointed at `name` (appended when it has none); the rest of the chain stays
+function withPickedName(spec, name) {
+  const locators = parseLocatorSpec(spec).locators;
+  if (locators.some(l => l.type === 'name' && l.value === name)) return spec;
+  const at = locators.findIndex(l => l.type === 'name');
+  if (at >= 0) locators[at] = { type: 'name', value: name };
+  else locators.push({ type: 'name', value: name });
+  return formatLocatorSpec(locators);
+}
+
+async function finishFieldPicker(pick) {
+  const p = findProfile(cachedConfig, pick.profileId);
+  if (!p) return;
+  const { user, pass, submit } = pick.picks;
+  const patch = { pickedFields: { user, pass, submit: submit || null } };
+  // keep the plain names in step for direct-POST mode, which cannot use CSS paths
+  if (user && user.name) patch.userField = withPickedName(p.userField, user.name);
+  if (pass && pass.name) patch.passField = withPickedName(p.passField, pass.name);
+  await patchProfile(p.id, patch);
+  log('picked fields saved for', p.name, patch.pickedFields);
+  chrome.notifications.create('picker-done', {
+    type: 'basic', iconUrl: 'icon.png', title: 'WiFi AutoLogin',
+    message: `${p.name}: login fields picked${submit ? '' : ' (no login button; the form is submitted directly)'}. They are used for the next login.`
+  });
+}
+
+async function pickerRole(tabId) {
+  const pick = await getPicker();
+  return pick && pick.tabId === tabId ? nextPickRole(pick) : null;
+}
+
+// pages loaded while picking get the picker again; closing the tab ends it
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo) => {
+  if (changeInfo.status !== 'complete') return;
+  if (await pickerRole(tabId)) await injectPicker(tabId);
+});
+
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  const pick = await getPicker();
+  if (pick && pick.tabId === tabId) await setPicker(null);
+});
@@ -0,0 +1,98 @@
+// history.js - viewer/export for the attempt journal written by the worker (journal.js)
+function ui(id){ return document.getElementById(id); }
+
+let entries = [];
+
+function filtered() {
+  const origin = ui('originFilter').value;
+  const outcome = ui('outcomeFilter').value;
+  return entries.filter(e => (!origin || e.origin === origin) && (!outcome || e.outcome === outcome));
+}
+
+function renderOrigins() {
+  const sel = ui('originFilter');
+  const current = sel.value;
+  const origins = Array.from(new Set(entries.map(e => e.origin).filter(Boolean))).sort();
+  sel.innerHTML = '<option value="">All</option>';
+  origins.forEach(o => {
+    const opt = document.createElement('option');
+    opt.value = o;
+    opt.textContent = o;
+    sel.appendChild(opt);
+  });
+  sel.value = origins.includes(current) ? current : '';
+}
+
+function render() {
+  const rows = ui('rows');
+  rows.innerHTML = '';
+  const list = filtered().slice().reverse(); // newest first
+  list.forEach(e => {
+    const tr = document.createElement('tr');
+    const cells = [new Date(e.t).toLocaleString(), e.type, e.origin || '—', e.outcome, JSON.stringify(e.detail || {}, null, 1)];
+    cells.forEach((text, idx) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      if (idx === 3) td.className = e.outcome;
+      if (idx === 4) td.className = 'detail';
+      tr.appendChild(td);
+    });
+    rows.appendChild(tr);
+  });
+  ui('summary').innerText = `${list.length} of ${entries.length} events shown.`;
+}
+
+async function load() {
+  const res = await chrome.storage.local.get(['journal']);
+  entries = (res && res.journal) || [];
+  renderOrigins();
+  render();
+}
+
+function download(filename, mime, text) {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function stamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+function exportJson() {
+  download(`wifi-autologin-history-${stamp()}.json`, 'application/json', JSON.stringify(filtered(), null, 2));
+}
+
+function csvCell(v) {
+  const s = String(v === undefined || v === null ? '' : v);
+  return /[",\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+function exportCsv() {
+  const lines = [['time', 'type', 'origin', 'outcome', 'detail'].join(',')];
+  filtered().forEach(e => {
+    lines.push([new Date(e.t).toISOString(), e.type, e.origin, e.outcome, JSON.stringify(e.detail || {})].map(csvCell).join(','));
+  });
+  download(`wifi-autologin-history-${stamp()}.csv`, 'text/csv', lines.join('\n'));
+}
+
+async function clearHistory() {
+  if (!confirm('Clear the whole login history?')) return;
+  await chrome.storage.local.remove(['journal']);
+  await load();
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  ui('originFilter').addEventListener('change', render);
+  ui('outcomeFilter').addEventListener('change', render);
+  ui('refreshBtn').addEventListener('click', load);
+  ui('jsonBtn').addEventListener('click', exportJson);
+  ui('csvBtn').addEventListener('click', exportCsv);
+  ui('clearBtn').addEventListener('click', clearHistory);
+  load();
+});
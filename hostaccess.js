@@ -0,0 +1,68 @@
+// hostaccess.js - host permissions and watcher.js registration for portals outside the manifest defaults
+// loaded by service_worker.js via importScripts (uses its log/warn helpers and `settings`).
+// The popup requests the permission when a profile is saved (it needs the user gesture); the worker
+// then registers watcher.js for that host and drops both again once no profile uses the host.
+
+const WATCHER_ID_PREFIX = 'watcher-';
+
+function manifestMatches() {
+  const m = chrome.runtime.getManifest();
+  return (m.content_scripts || []).reduce((all, cs) => all.concat(cs.matches || []), []);
+}
+
+function watcherScriptId(pattern) {
+  return WATCHER_ID_PREFIX + pattern.replace(/[^a-z0-9]+/gi, '_');
+}
+
+// patterns the configured probes still need (see settings.js); never revoke those
+function probePatterns() {
+  const urls = settings.probes.custom.map(p => p.url).concat(settings.probeUrl);
+  return urls.map(u => { try { return new URL(u).origin + '/*'; } catch (e) { return ''; } }).filter(Boolean);
+}
+
+async function hasHostAccess(pattern) {
+  try { return await chrome.permissions.contains({ origins: [pattern] }); } catch (e) { return false; }
+}
+
+// register watcher.js for every profile host we have access to; unregister the rest
+async function syncPortalAccess(cfg) {
+  try {
+    const staticMatches = manifestMatches();
+    const wanted = {};
+    for (const p of (cfg && cfg.profiles) || []) {
+      const pattern = profileMatchPattern(p);
+      if (!pattern || staticMatches.includes(pattern)) continue;
+      if (await hasHostAccess(pattern)) wanted[watcherScriptId(pattern)] = pattern;
+    }
+    const ours = (await chrome.scripting.getRegisteredContentScripts()).filter(s => s.id.startsWith(WATCHER_ID_PREFIX));
+    const stale = ours.filter(s => !wanted[s.id]).map(s => s.id);
+    if (stale.length) await chrome.scripting.unregisterContentScripts({ ids: stale });
+    const existing = ours.map(s => s.id);
+    const missing = Object.keys(wanted).filter(id => !existing.includes(id)).map(id => ({
+      id, matches: [wanted[id]], js: ['watcher.js'], runAt: 'document_idle', allFrames: false, persistAcrossSessions: true
+    }));
+    if (missing.length) await chrome.scripting.registerContentScripts(missing);
+    if (stale.length || missing.length) log('watcher registrations: -', stale, '+', missing.map(s => s.matches[0]));
+  } catch (e) {
+    warn('syncPortalAccess failed', e);
+  }
+}
+
+// give back host permissions of removed profiles that nothing else needs
+async function releaseUnusedHostAccess(prevCfg, nextCfg) {
+  const still = new Set(((nextCfg && nextCfg.profiles) || []).map(profileMatchPattern).concat(probePatterns()));
+  const manifestHosts = chrome.runtime.getManifest().host_permissions || [];
+  const dropped = ((prevCfg && prevCfg.profiles) || []).map(profileMatchPattern)
+    .filter(p => p && !still.has(p) && !manifestHosts.includes(p));
+  for (const pattern of new Set(dropped)) {
+    try {
+      await chrome.permissions.remove({ origins: [pattern] });
+      log('released host access', pattern);
+    } catch (e) {
+      log('could not release host access', pattern, e);
+    }
+  }
+}
+
+chrome.permissions.onAdded.addListener(() => { configReady.then(() => syncPortalAccess(cachedConfig)); });
+chrome.permissions.onRemoved.addListener(() => { configReady.then(() => syncPortalAccess(cachedConfig)); });
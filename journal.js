@@ -0,0 +1,47 @@
+// journal.js - structured login-attempt history (capped ring buffer in chrome.storage.local `journal`)
+// loaded by service_worker.js via importScripts; viewed/exported from history.html.
+// entry: { t, type, origin, outcome: 'ok' | 'fail' | 'info', detail }
+// types: probe, portal_detected, fields, inject, connectivity, outcome, backoff, pause, logout, session, account, diagnostics
+// Never put credentials in `detail`.
+
+const JOURNAL_KEY = 'journal';
+const JOURNAL_MAX_ENTRIES = 500;
+
+// writes are chained so concurrent events don't overwrite each other's read-modify-write
+let journalQueue = Promise.resolve();
+
+function journal(type, origin, outcome, detail = {}) {
+  const entry = { t: Date.now(), type, origin: origin || '', outcome, detail };
+  journalQueue = journalQueue.then(async () => {
+    try {
+      const res = await chrome.storage.local.get([JOURNAL_KEY]);
+      const list = (res && res[JOURNAL_KEY]) || [];
+      list.push(entry);
+      if (list.length > JOURNAL_MAX_ENTRIES) list.splice(0, list.length - JOURNAL_MAX_ENTRIES);
+      await chrome.storage.local.set({ [JOURNAL_KEY]: list });
+    } catch (e) {
+      warn('journal write failed', e);
+    }
+  });
+  return journalQueue;
+}
+
+// compact per-frame summary for the journal (input inventory without values)
+function summarizeFrames(frames) {
+  return (frames || []).map(f => ({
+    docUrl: f.docUrl || '(unknown)',
+    found: f.found,
+    error: (f.info && f.info.error) || f.error || '',
+    inputs: ((f.info && f.info.inputs) || f.inputs || []).slice(0, 20).map(i => [i.type, i.name || i.id].filter(Boolean).join(':')),
+    locators: summarizeLocators((f.info && f.info.locators) || f.locators)
+  }));
+}
+
+// typed-locator diagnostics (locate.js) as { user: ['name:x → no match', ...], ... }
+function summarizeLocators(diag) {
+  const out = {};
+  Object.keys(diag || {}).forEach(field => {
+    out[field] = (diag[field] || []).map(t => `${t.type}:${t.value} → ${t.result}`);
+  });
+  return out;
+}
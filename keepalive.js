@@ -0,0 +1,116 @@
+// keepalive.js - keep FortiGate-style portal sessions alive without an open keepalive tab
+// loaded by service_worker.js via importScripts (uses its fetchWithTimeout/originOf/log/warn helpers).
+// After a successful login the resulting page (tab or direct POST response) is scanned for the
+// portal's keepalive URL and refresh interval; an alarm then re-fetches that URL on its own.
+// State lives in chrome.storage.local under `keepalive`: { [profileId]: { url, intervalSec, lastOkAt, lastError } }
+
+const KEEPALIVE_ALARM_PREFIX = 'keepalive:';
+const KEEPALIVE_DEFAULT_INTERVAL_SEC = 300;
+
+// find a keepalive URL and its refresh interval in a post-login page; null when there is none
+function extractKeepalive(pageUrl, html, origin) {
+  let url = '';
+  if (pageUrl && /keepalive/i.test(pageUrl)) {
+    url = pageUrl;
+  } else if (html) {
+    const m = html.match(/["'=]((?:https?:\/\/[^"'\s<>]+)?\/[^"'\s<>]*keepalive[^"'\s<>]*)/i);
+    if (m) {
+      try { url = new URL(m[1].replace(/&amp;/g, '&'), pageUrl || origin).href; } catch (e) { url = ''; }
+    }
+  }
+  if (!url || (origin && originOf(url) !== origin)) return null;
+
+  let intervalSec = 0;
+  const countdown = html && html.match(/countDownTime\s*=\s*(\d+)/i);
+  const refresh = html && html.match(/http-equiv=["']?refresh["']?[^>]*content=["']?(\d+)/i);
+  if (countdown) intervalSec = parseInt(countdown[1], 10);
+  else if (refresh) intervalSec = parseInt(refresh[1], 10);
+  if (!intervalSec || intervalSec < 30) intervalSec = KEEPALIVE_DEFAULT_INTERVAL_SEC;
+  return { url, intervalSec };
+}
+
+async function getKeepaliveState() {
+  try {
+    const res = await chrome.storage.local.get(['keepalive']);
+    return (res && res.keepalive) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+async function setKeepaliveEntry(profileId, entry) {
+  const all = await getKeepaliveState();
+  if (entry) all[profileId] = Object.assign({}, all[profileId], entry);
+  else delete all[profileId];
+  await chrome.storage.local.set({ keepalive: all });
+}
+
+// refresh at half the portal's timeout so a slow or missed alarm still lands in time
+function scheduleKeepalive(profileId, intervalSec) {
+  const periodInMinutes = Math.max(1, Math.floor(intervalSec / 2 / 60));
+  chrome.alarms.create(KEEPALIVE_ALARM_PREFIX + profileId, { delayInMinutes: periodInMinutes, periodInMinutes });
+  log('keepalive scheduled for', profileId, 'every', periodInMinutes, 'min');
+}
+
+async function stopKeepalive(profileId) {
+  try { await chrome.alarms.clear(KEEPALIVE_ALARM_PREFIX + profileId); } catch (e) { /* ignore */ }
+  await setKeepaliveEntry(profileId, null);
+}
+
+// read url + html of the page a login attempt left the portal tab on
+async function readTabPage(tabId) {
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    const res = await chrome.scripting.executeScript({
+      target: { tabId, allFrames: false },
+      func: () => document.documentElement ? document.documentElement.outerHTML.slice(0, 200000) : ''
+    });
+    return { url: tab.url || '', html: (res && res[0] && res[0].result) || '' };
+  } catch (e) {
+    return null;
+  }
+}
+
+// called after a confirmed login; `submitRes` is the result of submitLogin
+async function captureKeepalive(cfg, submitRes) {
+  try {
+    const origin = originOf(cfg.loginUrl || '');
+    let page = null;
+    if (submitRes.mode === 'direct') page = { url: submitRes.docUrl || '', html: submitRes.html || '' };
+    else if (submitRes.tabId) page = await readTabPage(submitRes.tabId);
+    const ka = page && extractKeepalive(page.url, page.html, origin);
+    if (!ka) {
+      log('no keepalive URL found after login for', origin);
+      return;
+    }
+    await setKeepaliveEntry(cfg.id, { url: ka.url, intervalSec: ka.intervalSec, lastOkAt: Date.now(), lastError: '' });
+    scheduleKeepalive(cfg.id, ka.intervalSec);
+  } catch (e) {
+    warn('captureKeepalive failed', e);
+  }
+}
+
+// alarm handler: hit the keepalive URL; a login form in the answer means the session is gone
+async function runKeepalive(profileId) {
+  const entry = (await getKeepaliveState())[profileId];
+  if (!entry || !entry.url) {
+    await stopKeepalive(profileId);
+    return false;
+  }
+  try {
+    const res = await fetchWithTimeout(entry.url, null, 5000);
+    const body = res ? await res.text().catch(() => '') : '';
+    if (res && res.status < 400 && !/type=["']?password/i.test(body)) {
+      await setKeepaliveEntry(profileId, { lastOkAt: Date.now(), lastError: '' });
+      log('keepalive ok for', profileId);
+      return true;
+    }
+    warn('keepalive rejected for', profileId, 'status', res && res.status);
+    await chrome.alarms.clear(KEEPALIVE_ALARM_PREFIX + profileId);
+    await setKeepaliveEntry(profileId, { lastError: 'session_expired' });
+    return false;
+  } catch (e) {
+    await setKeepaliveEntry(profileId, { lastError: String(e) });
+    return false;
+  }
+}
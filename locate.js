@@ -0,0 +1,152 @@
+// locate.js — page-side resolver for picked and typed field locators
+// Injected into every frame by the worker right before field detection / credential injection, so the
+// self-contained executeScript functions can call window.__wifiAutologinLocate.
+// picked locator: { path: [css, ...], frame, name } — `path` holds one selector per open shadow root on the way
+// to the element (the last one selects the element itself); `frame` is a URL pattern with `*` wildcards.
+// typed locators: [{ type, value }] parsed from userField/passField/submitField (profiles.js parseLocatorSpec).
+(function(){
+  if (window.__wifiAutologinLocate) return;
+
+  function globToRegExp(glob) {
+    return new RegExp('^' + String(glob).split('*').map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+  }
+
+  // the recorded frame, or (portal URLs often carry session tokens in the path) any frame of its origin
+  function frameMatches(loc) {
+    if (!loc || !loc.frame) return true;
+    try {
+      if (globToRegExp(loc.frame).test(location.href)) return true;
+      return new URL(loc.frame.replace(/\*.*$/, '')).origin === location.origin;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function resolve(loc) {
+    if (!loc || !Array.isArray(loc.path) || !loc.path.length || !frameMatches(loc)) return null;
+    let root = document;
+    for (let i = 0; i < loc.path.length; i++) {
+      let el = null;
+      try { el = root.querySelector(loc.path[i]); } catch (e) { return null; }
+      if (!el) return null;
+      if (i === loc.path.length - 1) return el;
+      root = el.shadowRoot;
+      if (!root) return null;
+    }
+    return null;
+  }
+
+  const norm = s => String(s || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  const FIELD_TAGS = /^(INPUT|TEXTAREA|SELECT|BUTTON)$/;
+
+  // every element one typed locator matches in this document
+  function findAll(loc) {
+    const v = loc.value;
+    switch (loc.type) {
+      case 'name':
+        return Array.from(document.getElementsByName(v));
+      case 'id': {
+        const el = document.getElementById(v);
+        return el ? [el] : [];
+      }
+      case 'css':
+        return Array.from(document.querySelectorAll(v));
+      case 'xpath': {
+        const snap = document.evaluate(v, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+        const out = [];
+        for (let i = 0; i < snap.snapshotLength; i++) if (snap.snapshotItem(i).nodeType === 1) out.push(snap.snapshotItem(i));
+        return out;
+      }
+      case 'label': {
+        // <label> text (exact, then partial), then aria-label
+        const want = norm(v);
+        const labels = Array.from(document.querySelectorAll('label'));
+        const hit = labels.filter(l => norm(l.innerText || l.textContent) === want).concat(labels.filter(l => norm(l.innerText || l.textContent).includes(want)));
+        const controls = hit.map(l => l.control).filter(Boolean);
+        const aria = Array.from(document.querySelectorAll('[aria-label]')).filter(el => norm(el.getAttribute('aria-label')) === want);
+        return Array.from(new Set(controls.concat(aria)));
+      }
+      case 'placeholder': {
+        const want = norm(v);
+        return Array.from(document.querySelectorAll('[placeholder]')).filter(el => norm(el.getAttribute('placeholder')) === want);
+      }
+      default:
+        throw new Error('unknown locator type ' + loc.type);
+    }
+  }
+
+  // first locator that matches wins; `tried` explains every attempt for the journal
+  function resolveTyped(locators, wantField) {
+    const tried = [];
+    for (const loc of locators || []) {
+      let found;
+      try {
+        found = findAll(loc);
+      } catch (e) {
+        tried.push({ type: loc.type, value: loc.value, result: 'error: ' + (e && e.message || e) });
+        continue;
+      }
+      if (wantField) found = found.filter(el => FIELD_TAGS.test(el.tagName));
+      if (!found.length) {
+        tried.push({ type: loc.type, value: loc.value, result: 'no match' });
+        continue;
+      }
+      tried.push({ type: loc.type, value: loc.value, result: found.length > 1 ? `${found.length} matches, using the first` : 'match' });
+      return { el: found[0], tried };
+    }
+    return { el: null, tried };
+  }
+
+  // frameworks listen for input/change rather than reading .value on submit
+  function setValue(el, value) {
+    if (el.focus) el.focus();
+    el.value = value;
+    el.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+    el.dispatchEvent(new Event('change', { bubbles: true, composed: true }));
+  }
+
+  // page-side copy of templateUuid / expandFieldTemplate in profiles.js
+  function uuid() {
+    const b = crypto.getRandomValues(new Uint8Array(16));
+    b[6] = (b[6] & 0x0f) | 0x40;
+    b[8] = (b[8] & 0x3f) | 0x80;
+    const h = Array.from(b, x => x.toString(16).padStart(2, '0')).join('');
+    return `${h.slice(0, 8)}-${h.slice(8, 12)}-${h.slice(12, 16)}-${h.slice(16, 20)}-${h.slice(20)}`;
+  }
+
+  function inputValue(form, name) {
+    const byName = el => el.name === name || el.id === name;
+    const el = (form && Array.from(form.elements).find(byName)) || document.getElementsByName(name)[0] || document.getElementById(name);
+    return el && 'value' in el ? String(el.value) : '';
+  }
+
+  function expandTemplate(value, vars, form) {
+    return String(value || '').replace(/\{\{\s*(\w+)(?::([^}]*))?\s*\}\}/g, (m, key, arg) => {
+      switch (key) {
+        case 'timestamp': return String(Date.now());
+        case 'unixtime': return String(Math.floor(Date.now() / 1000));
+        case 'uuid': return uuid();
+        case 'username': return (vars && vars.username) || '';
+        case 'input': return inputValue(form, String(arg || '').trim());
+        default: return m;
+      }
+    });
+  }
+
+  // profile.extraFields into `form`; {{input:...}} values are read before anything is changed
+  function applyExtraFields(form, fields, vars) {
+    const values = (fields || []).map(f => expandTemplate(f.value, vars, form));
+    (fields || []).forEach((f, i) => {
+      let el = f.mode === 'add' ? null : Array.from(form.elements).find(e => e.name === f.name);
+      if (!el) {
+        el = document.createElement('input');
+        el.type = 'hidden';
+        el.name = f.name;
+        form.appendChild(el);
+      }
+      el.value = values[i];
+    });
+  }
+
+  window.__wifiAutologinLocate = { resolve, resolveTyped, frameMatches, setValue, applyExtraFields };
+})();
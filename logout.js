@@ -0,0 +1,133 @@
+// logout.js - log out of the portal on request, when the machine goes idle/locks, or when the last window closes
+// loaded by service_worker.js via importScripts (uses its log/warn/fetchWithTimeout/waitForTabLoaded helpers,
+// cachedConfig, settings and the keepalive/macro/state modules).
+// A profile logs out through its recorded logout steps (profile.logoutMacro), its logoutUrl, or - for
+// FortiGate-style portals - the keepalive URL with "keepalive" replaced by "logout".
+// The logout is kept in chrome.storage.local `loggedOut`: { profileId, at, reason } so checkAndLogin does not
+// log straight back in. It ends with a manual Test login, with the user coming back (idle/locked logouts) or
+// with the next browser start (last-window logouts).
+
+const LOGGED_OUT_KEY = 'loggedOut';
+
+let loggedOut = null;
+
+async function restoreLoggedOut() {
+  try {
+    const res = await chrome.storage.local.get([LOGGED_OUT_KEY]);
+    loggedOut = (res && res[LOGGED_OUT_KEY]) || null;
+  } catch (e) {
+    loggedOut = null;
+  }
+}
+const loggedOutReady = restoreLoggedOut();
+
+async function setLoggedOut(entry) {
+  loggedOut = entry;
+  if (entry) await chrome.storage.local.set({ [LOGGED_OUT_KEY]: entry });
+  else await chrome.storage.local.remove([LOGGED_OUT_KEY]);
+  broadcastStatus();
+}
+
+// the URL a GET logs out with, if we know one
+async function logoutUrlFor(cfg) {
+  if (cfg.logoutUrl) return cfg.logoutUrl;
+  const ka = (await getKeepaliveState())[cfg.id];
+  if (ka && ka.url && /keepalive/i.test(ka.url)) return ka.url.replace(/keepalive/i, 'logout');
+  return '';
+}
+
+// replay recorded logout steps in a background tab opened where the recording started
+async function runLogoutMacro(cfg) {
+  const steps = cfg.logoutMacro;
+  const startUrl = steps[0].action === 'wait_load' && steps[0].url ? steps[0].url : cfg.loginUrl;
+  let tabId = null;
+  try {
+    const tab = await chrome.tabs.create({ url: startUrl, active: false });
+    tabId = tab.id;
+    await trackCreatedTab(tabId);
+    await waitForTabLoaded(tabId, 15000);
+    return await runMacro(Object.assign({}, cfg, { macro: steps[0].action === 'wait_load' ? steps.slice(1) : steps }), tabId);
+  } catch (e) {
+    return { ok: false, error: 'logout_macro_failed:' + String(e) };
+  } finally {
+    if (tabId !== null) {
+      await chrome.tabs.remove(tabId).catch(() => {});
+      await untrackCreatedTab(tabId);
+    }
+  }
+}
+
+// end the portal session without recording a logout (session.js re-logs in right after)
+async function endPortalSession(cfg) {
+  const url = await logoutUrlFor(cfg);
+  // the keepalive would hold the session open (and its URL is gone once stopped, so read it first)
+  await stopKeepalive(cfg.id);
+  await stopSession(cfg.id);
+  if (Array.isArray(cfg.logoutMacro) && cfg.logoutMacro.length) return Object.assign(await runLogoutMacro(cfg), { method: 'macro' });
+  if (!url) return { ok: false, method: 'none', error: 'no_logout_method' };
+  try {
+    const r = await fetchWithTimeout(url, null, 5000);
+    return r && r.status < 400 ? { ok: true, method: 'url' } : { ok: false, method: 'url', error: 'logout_http_' + (r ? r.status : 'none') };
+  } catch (e) {
+    return { ok: false, method: 'url', error: 'logout_fetch_failed:' + String(e) };
+  }
+}
+
+async function logoutProfile(cfg, reason) {
+  await loggedOutReady;
+  const origin = originOf(cfg.loginUrl || '');
+  // recorded first: the session dropping mid-logout must not set off a login
+  const previous = loggedOut;
+  await setLoggedOut({ profileId: cfg.id, at: Date.now(), reason });
+  const res = await endPortalSession(cfg);
+  await setBackoff(0);
+  // still logged in to the portal, so nothing to hold back
+  if (!res.ok) await setLoggedOut(previous);
+  journal('logout', origin, res.ok ? 'ok' : 'fail', { profile: cfg.name, reason, method: res.method, error: res.error || '' });
+  log('logout', cfg.name, reason, res);
+  return res;
+}
+
+// the profile that is (or was last) logged in
+function loggedInProfile() {
+  return findProfile(cachedConfig, state.activeProfileId) || getDefaultProfile(cachedConfig);
+}
+
+async function autoLogout(reason) {
+  await configReady;
+  await stateReady;
+  await loggedOutReady;
+  const cfg = loggedInProfile();
+  if (!cfg || loggedOut || !state.lastLoginAt) return;
+  await logoutProfile(cfg, reason);
+}
+
+// resume after an automatic logout; `reasons` are the logouts this event ends
+async function endLoggedOut(reasons) {
+  await loggedOutReady;
+  if (!loggedOut || !reasons.includes(loggedOut.reason)) return;
+  await setLoggedOut(null);
+  log('logged-out state ended; checking connectivity');
+  checkAndLogin(false);
+}
+
+function applyIdleSettings() {
+  try { chrome.idle.setDetectionInterval(settings.autoLogout.idleMinutes * 60); } catch (e) { warn('setDetectionInterval failed', e); }
+}
+
+chrome.idle.onStateChanged.addListener(async (newState) => {
+  await settingsReady;
+  const a = settings.autoLogout;
+  if (newState === 'idle' && a.onIdle) await autoLogout('idle');
+  else if (newState === 'locked' && (a.onLock || a.onIdle)) await autoLogout('locked');
+  else if (newState === 'active') await endLoggedOut(['idle', 'locked']);
+});
+
+chrome.windows.onRemoved.addListener(async () => {
+  await settingsReady;
+  if (!settings.autoLogout.onLastWindowClose) return;
+  const left = await chrome.windows.getAll();
+  if (!left.length) await autoLogout('last_window');
+});
+
+chrome.runtime.onStartup.addListener(() => endLoggedOut(['last_window']));
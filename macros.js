@@ -0,0 +1,182 @@
+// macros.js - recorded multi-step login macros (record from the popup, replay in place of the heuristic fill)
+// loaded by service_worker.js via importScripts (uses its log/warn/sleep/waitForTabLoaded helpers,
+// cachedConfig, settings and patchProfile).
+// step: { action: 'fill' | 'select' | 'check' | 'click' | 'submit' | 'wait_load', selector, frameUrl, value, checked, url }
+// fill values may contain {{username}} / {{password}}; real credentials are only substituted at replay time.
+// The recording in progress is kept in chrome.storage.session `macroRecording`: { tabId, profileId, target, steps }
+// `target` is the profile field the steps are saved to: 'macro' (login) or 'logoutMacro' (see logout.js).
+
+const MACRO_RECORDING_KEY = 'macroRecording';
+const MACRO_TARGETS = ['macro', 'logoutMacro'];
+
+async function getRecording() {
+  try {
+    const res = await chrome.storage.session.get([MACRO_RECORDING_KEY]);
+    return (res && res[MACRO_RECORDING_KEY]) || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+async function setRecording(rec) {
+  if (rec) await chrome.storage.session.set({ [MACRO_RECORDING_KEY]: rec });
+  else await chrome.storage.session.remove([MACRO_RECORDING_KEY]);
+}
+
+async function injectRecorder(tabId) {
+  try {
+    await chrome.scripting.executeScript({ target: { tabId, allFrames: true }, files: ['recorder.js'] });
+    return true;
+  } catch (e) {
+    warn('injectRecorder failed', e);
+    return false;
+  }
+}
+
+async function startMacroRecording(profileId, tabId, target = 'macro') {
+  if (!MACRO_TARGETS.includes(target)) return { ok: false, error: 'bad_target' };
+  const tab = await chrome.tabs.get(tabId);
+  await setRecording({ tabId, profileId, target, steps: [{ action: 'wait_load', url: tab.url || '' }] });
+  if (!(await injectRecorder(tabId))) {
+    await setRecording(null);
+    return { ok: false, error: 'inject_failed' };
+  }
+  log('macro recording started in tab', tabId, 'for profile', profileId, target);
+  return { ok: true };
+}
+
+// save the recorded steps on the profile; returns them so the popup can update its copy
+async function stopMacroRecording() {
+  const rec = await getRecording();
+  if (!rec) return { ok: false, error: 'not_recording' };
+  await setRecording(null);
+  const target = rec.target || 'macro';
+  // a leading wait_load is implied: login replay starts on a loaded portal page. Logout replay opens its own
+  // tab, so it keeps the URL the recording started on.
+  const steps = target === 'macro' ? rec.steps.filter((s, i) => !(i === 0 && s.action === 'wait_load')) : rec.steps;
+  await patchProfile(rec.profileId, { [target]: steps });
+  log('macro recording stopped;', steps.length, 'steps for', target);
+  return { ok: true, profileId: rec.profileId, target, steps };
+}
+
+// consecutive fills of the same field collapse into the last value
+async function appendMacroStep(step, tabId) {
+  const rec = await getRecording();
+  if (!rec || rec.tabId !== tabId) return false;
+  const last = rec.steps[rec.steps.length - 1];
+  if (last && step.action === 'fill' && last.action === 'fill' && last.selector === step.selector && last.frameUrl === step.frameUrl) {
+    rec.steps[rec.steps.length - 1] = step;
+  } else {
+    rec.steps.push(step);
+  }
+  await setRecording(rec);
+  return true;
+}
+
+// recorder.js asks on every (re)load whether it should record and what the credentials look like
+async function recorderOptions(tabId) {
+  const rec = await getRecording();
+  if (!rec || rec.tabId !== tabId) return { active: false };
+  const p = findProfile(cachedConfig, rec.profileId) || {};
+  return { active: true, username: p.username || '', userNames: fieldNamesFromSpec(p.userField), passNames: fieldNamesFromSpec(p.passField) };
+}
+
+// page loads during recording become wait_load steps, and the new documents get the recorder again
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  if (changeInfo.status !== 'complete') return;
+  const rec = await getRecording();
+  if (!rec || rec.tabId !== tabId) return;
+  const last = rec.steps[rec.steps.length - 1];
+  if (!last || last.action !== 'wait_load' || last.url !== tab.url) {
+    rec.steps.push({ action: 'wait_load', url: tab.url || '' });
+    await setRecording(rec);
+  }
+  await injectRecorder(tabId);
+});
+
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  const rec = await getRecording();
+  if (rec && rec.tabId === tabId) await stopMacroRecording();
+});
+
+// runs inside each frame (serialized by executeScript, so it must stay self-contained)
+function playMacroStep(step, vars) {
+  try {
+    if (step.frameUrl) {
+      const want = new URL(step.frameUrl);
+      if (want.origin !== location.origin || want.pathname !== location.pathname) return { ok: false, skipped: true };
+    }
+    const el = document.querySelector(step.selector);
+    if (!el) return { ok: false, error: 'not_found', docUrl: location.href };
+    const value = String(step.value || '').replace(/\{\{(\w+)\}\}/g, (m, k) => (k in vars ? vars[k] : m));
+    const fire = type => el.dispatchEvent(new Event(type, { bubbles: true }));
+    if (step.action === 'fill' || step.action === 'select') {
+      if (el.focus) el.focus();
+      el.value = value;
+      fire('input');
+      fire('change');
+    } else if (step.action === 'check') {
+      if (el.checked !== !!step.checked) el.click();
+    } else if (step.action === 'click') {
+      el.click();
+    } else if (step.action === 'submit') {
+      if (el.requestSubmit) el.requestSubmit(); else el.submit();
+    } else {
+      return { ok: false, error: 'unknown_action:' + step.action };
+    }
+    return { ok: true, docUrl: location.href };
+  } catch (e) {
+    return { ok: false, error: String(e), docUrl: location.href };
+  }
+}
+
+// wait for a navigation the previous step may have started, then for it to finish
+async function waitForNavigation(tabId, fromUrl, timeoutMs = 15000) {
+  const start = Date.now();
+  while (Date.now() - start < 3000) {
+    let t = null;
+    try { t = await chrome.tabs.get(tabId); } catch (e) { return false; }
+    if (t.status === 'loading' || t.url !== fromUrl) break;
+    await sleep(200);
+  }
+  return waitForTabLoaded(tabId, timeoutMs);
+}
+
+async function runMacroStep(tabId, step, vars) {
+  const tries = settings.maxFieldCheckTries + 1;
+  let frames = [];
+  for (let attempt = 0; attempt < tries; attempt++) {
+    try {
+      const results = await chrome.scripting.executeScript({ target: { tabId, allFrames: true }, func: playMacroStep, args: [step, vars] });
+      frames = (results || []).map(r => r && r.result).filter(Boolean);
+      if (frames.some(f => f.ok)) return { ok: true };
+    } catch (e) {
+      // a click/submit can tear the frame down before it answers
+      if (step.action === 'click' || step.action === 'submit') return { ok: true };
+      frames = [{ ok: false, error: String(e) }];
+    }
+    await sleep(settings.fieldCheckIntervalMs);
+  }
+  return { ok: false, frames: frames.filter(f => !f.skipped) };
+}
+
+async function runMacro(cfg, tabId) {
+  const steps = cfg.macro || [];
+  const vars = { username: cfg.username || '', password: cfg.password || '' };
+  let lastUrl = '';
+  try { lastUrl = (await chrome.tabs.get(tabId)).url || ''; } catch (e) { /* ignore */ }
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i];
+    if (step.action === 'wait_load') {
+      await waitForNavigation(tabId, lastUrl);
+    } else {
+      const res = await runMacroStep(tabId, step, vars);
+      if (!res.ok) {
+        warn('macro step failed', i, step.action, step.selector, res.frames);
+        return { ok: false, error: `macro_step_failed:${i}:${step.action}`, frames: res.frames };
+      }
+    }
+    try { lastUrl = (await chrome.tabs.get(tabId)).url || ''; } catch (e) { /* ignore */ }
+  }
+  return { ok: true, docUrl: lastUrl };
+}
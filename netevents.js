@@ -0,0 +1,51 @@
+// netevents.js - react to network changes right away instead of waiting for the next checkConn alarm
+// loaded by service_worker.js via importScripts (uses its log/warn/originOf helpers, cachedConfig and checkAndLogin).
+// Triggers: a navigation redirected to a known portal origin (webNavigation) and the machine coming back from
+// idle/sleep (chrome.idle). A reconnected network shows up as one of those or at the next checkConn alarm.
+// Triggers arriving close together collapse into one check; the checkConn alarm keeps polling as a fallback.
+
+const EVENT_CHECK_DEBOUNCE_MS = 1500;
+const EVENT_CHECK_MIN_GAP_MS = 10 * 1000;
+
+let eventCheckTimer = null;
+let eventCheckReasons = [];
+let eventCheckProfile = null;
+let lastEventCheckAt = 0;
+
+// debounced connectivity check; `profile` is a hint when the event named the portal
+function requestCheck(reason, profile = null) {
+  if (!eventCheckReasons.includes(reason)) eventCheckReasons.push(reason);
+  if (profile) eventCheckProfile = profile;
+  if (eventCheckTimer) clearTimeout(eventCheckTimer);
+  const wait = Math.max(EVENT_CHECK_DEBOUNCE_MS, lastEventCheckAt + EVENT_CHECK_MIN_GAP_MS - Date.now());
+  eventCheckTimer = setTimeout(runRequestedCheck, wait);
+}
+
+async function runRequestedCheck() {
+  const reasons = eventCheckReasons;
+  const profile = eventCheckProfile;
+  eventCheckTimer = null;
+  eventCheckReasons = [];
+  eventCheckProfile = null;
+  lastEventCheckAt = Date.now();
+  log('network event check:', reasons.join(', '));
+  journal('probe', profile ? originOf(profile.loginUrl || '') : '', 'info', { trigger: reasons });
+  await checkAndLogin(false, profile);
+}
+
+// a page of ours or the user's got redirected to a portal we have a profile for
+chrome.webNavigation.onCommitted.addListener(async (details) => {
+  if (details.frameId !== 0 || !/^https?:/.test(details.url)) return;
+  const q = details.transitionQualifiers || [];
+  if (!q.includes('server_redirect') && !q.includes('client_redirect')) return;
+  await configReady;
+  await stateReady;
+  // our own probe/portal tabs are already being handled
+  if (isCreatedTab(details.tabId)) return;
+  const profile = findProfileByOrigin(cachedConfig, originOf(details.url));
+  if (profile) requestCheck('portal_redirect', profile);
+});
+
+chrome.idle.onStateChanged.addListener((newState) => {
+  if (newState === 'active') requestCheck('resume');
+});
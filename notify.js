@@ -0,0 +1,114 @@
+// notify.js - notifications with action buttons (Retry now, Open portal, Unlock, Pause for 1h, Create profile)
+// loaded by service_worker.js via importScripts (uses its log/warn helpers, cachedConfig, checkAndLogin,
+// openUnlockPrompt, pauseAutoLogin and dismissDiscovery).
+// What the buttons of each shown notification do is kept in chrome.storage.session `notifyActions`:
+// { [notificationId]: { buttons: [action, ...], click: action, profileId, url, count } }, so a click still works
+// after the worker restarted. Chrome shows at most two buttons per notification.
+// Failures get one notification per origin ('fail:<origin>') that is updated in place instead of popping again.
+
+const NOTIFY_ACTIONS_KEY = 'notifyActions';
+const NOTIFY_PAUSE_MINUTES = 60;
+// failures in a row after which "Pause for 1h" replaces "Open portal"
+const NOTIFY_PAUSE_AFTER_FAILURES = 3;
+
+const NOTIFY_BUTTONS = {
+  retry: 'Retry now',
+  openPortal: 'Open portal',
+  unlock: 'Unlock',
+  credentials: 'Enter credentials',
+  pause: `Pause for ${NOTIFY_PAUSE_MINUTES / 60}h`,
+  createProfile: 'Create profile',
+  dismiss: 'Dismiss'
+};
+
+async function getNotifyActions() {
+  try {
+    const res = await chrome.storage.session.get([NOTIFY_ACTIONS_KEY]);
+    return (res && res[NOTIFY_ACTIONS_KEY]) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+async function setNotifyAction(id, entry) {
+  const all = await getNotifyActions();
+  if (entry) all[id] = entry;
+  else delete all[id];
+  await chrome.storage.session.set({ [NOTIFY_ACTIONS_KEY]: all });
+}
+
+// show (or silently update, when `id` is already showing) a notification with up to two buttons
+async function notify(id, message, opts = {}) {
+  const buttons = (opts.buttons || []).slice(0, 2);
+  const options = { type: 'basic', iconUrl: 'icon.png', title: 'WiFi AutoLogin', message };
+  if (buttons.length) options.buttons = buttons.map(a => ({ title: NOTIFY_BUTTONS[a] }));
+  await setNotifyAction(id, { buttons, click: opts.click || '', profileId: opts.profileId || null, url: opts.url || '', count: opts.count || 0 });
+  try {
+    const updated = await chrome.notifications.update(id, options);
+    if (!updated) await chrome.notifications.create(id, options);
+  } catch (e) {
+    warn('notify failed', id, e);
+  }
+}
+
+async function clearNotification(id) {
+  await setNotifyAction(id, null);
+  chrome.notifications.clear(id);
+}
+
+function failureNotificationId(origin) {
+  return 'fail:' + origin;
+}
+
+// one notification per origin, counting the failures in a row until a success clears it
+async function notifyFailure(cfg, origin, reason) {
+  if (!settings.notifyFailure) return;
+  const prev = (await getNotifyActions())[failureNotificationId(origin)];
+  const attempts = ((prev && prev.count) || 0) + 1;
+  const next = state.nextAttemptAt > Date.now() ? ` Next try in ${Math.round((state.nextAttemptAt - Date.now()) / 1000)}s.` : '';
+  await notify(failureNotificationId(origin), `${cfg.name}: auto-login failed${attempts > 1 ? ` ${attempts} times in a row` : ''} (${reason}).${next}`, {
+    buttons: attempts >= NOTIFY_PAUSE_AFTER_FAILURES ? ['retry', 'pause'] : ['retry', 'openPortal'],
+    click: 'openPortal',
+    profileId: cfg.id,
+    url: cfg.loginUrl,
+    count: attempts
+  });
+}
+
+async function runNotifyAction(action, entry) {
+  const profile = entry.profileId ? findProfile(cachedConfig, entry.profileId) : null;
+  log('notification action', action, profile && profile.name);
+  if (action === 'retry') {
+    // an explicit retry, like Test login from the popup
+    await checkAndLogin(true, profile, true);
+  } else if (action === 'openPortal') {
+    const url = (profile && profile.loginUrl) || entry.url;
+    if (url) await chrome.tabs.create({ url, active: true });
+  } else if (action === 'unlock' || action === 'credentials' || action === 'createProfile') {
+    // the popup also shows the offer for a discovered portal (discover.js)
+    await openUnlockPrompt();
+  } else if (action === 'dismiss') {
+    if (entry.url) await dismissDiscovery(originOf(entry.url));
+  } else if (action === 'pause') {
+    await pauseReady;
+    await pauseAutoLogin('timed', NOTIFY_PAUSE_MINUTES);
+  }
+}
+
+chrome.notifications.onButtonClicked.addListener(async (id, index) => {
+  await configReady;
+  const entry = (await getNotifyActions())[id];
+  if (!entry || !entry.buttons[index]) return;
+  await clearNotification(id);
+  await runNotifyAction(entry.buttons[index], entry);
+});
+
+chrome.notifications.onClicked.addListener(async (id) => {
+  await configReady;
+  const entry = (await getNotifyActions())[id];
+  if (!entry || !entry.click) return;
+  await clearNotification(id);
+  await runNotifyAction(entry.click, entry);
+});
+
+chrome.notifications.onClosed.addListener((id) => setNotifyAction(id, null));
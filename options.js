@@ -0,0 +1,269 @@
+// options.js - settings page (see settings.js for defaults and validation)
+function ui(id){ return document.getElementById(id); }
+
+function renderBuiltinProbes(s) {
+  const box = ui('builtinProbes');
+  box.innerHTML = '';
+  BUILTIN_PROBES.forEach(p => {
+    const label = document.createElement('label');
+    const cb = document.createElement('input');
+    cb.type = 'checkbox';
+    cb.dataset.probe = p.id;
+    cb.checked = s.probes.enabled.includes(p.id);
+    label.appendChild(cb);
+    label.appendChild(document.createTextNode(` ${p.label} — ${p.url}`));
+    box.appendChild(label);
+  });
+}
+
+function addCustomRow(p) {
+  const row = document.createElement('div');
+  row.className = 'custom';
+  [['url', 'http://example.com/probe'], ['expectStatus', '204'], ['expectBody', 'expected text']].forEach(([k, ph]) => {
+    const input = document.createElement('input');
+    input.type = k === 'expectStatus' ? 'number' : 'text';
+    input.dataset.k = k;
+    input.placeholder = ph;
+    input.value = p && p[k] ? p[k] : '';
+    row.appendChild(input);
+  });
+  const rm = document.createElement('button');
+  rm.textContent = 'Remove';
+  rm.addEventListener('click', () => row.remove());
+  row.appendChild(rm);
+  ui('customProbes').appendChild(row);
+}
+
+// plain settings <-> form fields; backoff ones live under settings.backoff
+const NUMBER_FIELDS = ['checkPeriodMin', 'probeCooldownSec', 'maxFieldCheckTries', 'fieldCheckIntervalMs', 'notifySuccessCooldownMin'];
+const BOOL_FIELDS = ['reloadOnFirstFail', 'notifySuccess', 'notifyLocked', 'notifyFailure', 'discoverPortals', 'debug'];
+const BACKOFF_FIELDS = { backoffInitialSec: 'initialSec', backoffCapSec: 'capSec', backoffMaxSec: 'maxSec', backoffSteadySec: 'steadySec', backoffSteadyAfterAttempts: 'steadyAfterAttempts' };
+const AUTO_LOGOUT_BOOLS = { autoLogoutOnIdle: 'onIdle', autoLogoutOnLock: 'onLock', autoLogoutOnLastWindowClose: 'onLastWindowClose' };
+const SESSION_NUMBER_FIELDS = { sessionWarnBeforeMin: 'warnBeforeMin', sessionReloginBeforeMin: 'reloginBeforeMin' };
+const ACCOUNT_COOLDOWN_FIELDS = { accountRejectedMin: 'rejectedMin', accountQuotaMin: 'quotaMin', accountInUseMin: 'inUseMin' };
+
+// administrator policy (policy.js): the settings it fixes are shown with its values and cannot be edited
+let managedPolicy = normalizePolicy(null);
+
+// form controls showing the setting at `path` ('checkPeriodMin', 'backoff.capSec', 'probes.enabled', ...)
+function settingInputs(path) {
+  const [k, sub] = path.split('.');
+  const idsFor = map => Object.keys(map).filter(id => map[id] === sub).map(ui);
+  if (k === 'probes') {
+    if (sub === 'policy') return [ui('probePolicy')];
+    if (sub === 'enabled') return Array.from(document.querySelectorAll('[data-probe]'));
+    return Array.from(ui('customProbes').querySelectorAll('input, button')).concat(ui('addProbeBtn'));
+  }
+  if (k === 'backoff') return idsFor(BACKOFF_FIELDS);
+  if (k === 'autoLogout') return sub === 'idleMinutes' ? [ui('autoLogoutIdleMinutes')] : idsFor(AUTO_LOGOUT_BOOLS);
+  if (k === 'sessionExpiry') return sub === 'relogin' ? [ui('sessionRelogin')] : idsFor(SESSION_NUMBER_FIELDS);
+  if (k === 'accountCooldown') return idsFor(ACCOUNT_COOLDOWN_FIELDS);
+  return [ui(k)];
+}
+
+function renderPolicyLocks() {
+  const paths = policySettingPaths(managedPolicy);
+  paths.forEach(path => settingInputs(path).forEach(el => {
+    el.disabled = true;
+    el.title = 'Set by your organization';
+  }));
+  ui('policyNote').style.display = paths.length ? '' : 'none';
+  ui('policyNote').innerText = `Some settings are set by your organization and cannot be changed here: ${paths.join(', ')}.`;
+}
+
+function render(s) {
+  NUMBER_FIELDS.forEach(k => { ui(k).value = s[k]; });
+  BOOL_FIELDS.forEach(k => { ui(k).checked = s[k]; });
+  Object.keys(BACKOFF_FIELDS).forEach(id => { ui(id).value = s.backoff[BACKOFF_FIELDS[id]]; });
+  Object.keys(AUTO_LOGOUT_BOOLS).forEach(id => { ui(id).checked = s.autoLogout[AUTO_LOGOUT_BOOLS[id]]; });
+  ui('autoLogoutIdleMinutes').value = s.autoLogout.idleMinutes;
+  Object.keys(SESSION_NUMBER_FIELDS).forEach(id => { ui(id).value = s.sessionExpiry[SESSION_NUMBER_FIELDS[id]]; });
+  ui('sessionRelogin').checked = s.sessionExpiry.relogin;
+  Object.keys(ACCOUNT_COOLDOWN_FIELDS).forEach(id => { ui(id).value = s.accountCooldown[ACCOUNT_COOLDOWN_FIELDS[id]]; });
+  ui('probeUrl').value = s.probeUrl;
+  renderBuiltinProbes(s);
+  ui('probePolicy').value = s.probes.policy;
+  ui('customProbes').innerHTML = '';
+  s.probes.custom.forEach(addCustomRow);
+  renderPolicyLocks();
+}
+
+// read the form; returns { settings, errors }
+function readForm() {
+  const errors = [];
+  const custom = [];
+  Array.from(ui('customProbes').querySelectorAll('.custom')).forEach((row, i) => {
+    const get = k => row.querySelector(`[data-k="${k}"]`).value.trim();
+    if (!get('url')) return;
+    const p = normalizeCustomProbe({ url: get('url'), expectStatus: get('expectStatus'), expectBody: get('expectBody') });
+    if (!p) errors.push(`Custom probe ${i + 1}: "${get('url')}" is not an http(s) URL.`);
+    else custom.push(p);
+  });
+  const enabled = Array.from(document.querySelectorAll('[data-probe]')).filter(cb => cb.checked).map(cb => cb.dataset.probe);
+  if (!enabled.length && !custom.length) errors.push('Enable at least one probe.');
+
+  const settings = { probes: { enabled, custom, policy: ui('probePolicy').value }, backoff: {} };
+  NUMBER_FIELDS.forEach(k => {
+    const el = ui(k);
+    if (el.value === '' || !el.checkValidity()) errors.push(`"${el.closest('label').innerText.trim()}": enter a number between ${el.min} and ${el.max}.`);
+    settings[k] = Number(el.value);
+  });
+  Object.keys(BACKOFF_FIELDS).forEach(id => {
+    const el = ui(id);
+    if (el.value === '' || !el.checkValidity()) errors.push(`Backoff: enter a number between ${el.min} and ${el.max}.`);
+    settings.backoff[BACKOFF_FIELDS[id]] = Number(el.value);
+  });
+  if (settings.backoff.capSec < settings.backoff.initialSec || settings.backoff.maxSec < settings.backoff.capSec) {
+    errors.push('Backoff: the values must not decrease (start ≤ double-up-to ≤ maximum).');
+  }
+  BOOL_FIELDS.forEach(k => { settings[k] = ui(k).checked; });
+  settings.autoLogout = { idleMinutes: Number(ui('autoLogoutIdleMinutes').value) };
+  Object.keys(AUTO_LOGOUT_BOOLS).forEach(id => { settings.autoLogout[AUTO_LOGOUT_BOOLS[id]] = ui(id).checked; });
+  if (settings.autoLogout.onIdle && (ui('autoLogoutIdleMinutes').value === '' || !ui('autoLogoutIdleMinutes').checkValidity())) {
+    errors.push('Automatic logout: enter an idle time between 1 and 1440 minutes.');
+  }
+  settings.sessionExpiry = { relogin: ui('sessionRelogin').checked };
+  Object.keys(SESSION_NUMBER_FIELDS).forEach(id => {
+    const el = ui(id);
+    if (el.value === '' || !el.checkValidity()) errors.push(`Session expiry: enter a number between ${el.min} and ${el.max}.`);
+    settings.sessionExpiry[SESSION_NUMBER_FIELDS[id]] = Number(el.value);
+  });
+  settings.accountCooldown = {};
+  Object.keys(ACCOUNT_COOLDOWN_FIELDS).forEach(id => {
+    const el = ui(id);
+    if (el.value === '' || !el.checkValidity()) errors.push(`Fallback accounts: enter a number of minutes between ${el.min} and ${el.max}.`);
+    settings.accountCooldown[ACCOUNT_COOLDOWN_FIELDS[id]] = Number(el.value);
+  });
+  settings.probeUrl = ui('probeUrl').value.trim();
+  if (!/^http:\/\//i.test(settings.probeUrl) || !isHttpUrl(settings.probeUrl)) errors.push('Probe page must be a plain http:// URL (portals cannot intercept https).');
+  return { settings, errors };
+}
+
+async function save() {
+  const { settings, errors } = readForm();
+  if (errors.length) {
+    ui('status').className = 'status error';
+    ui('status').innerText = errors.join(' ');
+    return;
+  }
+  // the worker can only read probe answers from hosts it has permission for
+  const origins = settings.probes.custom.map(p => new URL(p.url).origin + '/*');
+  if (settings.probeUrl !== DEFAULT_SETTINGS.probeUrl) origins.push(new URL(settings.probeUrl).origin + '/*');
+  if (origins.length) {
+    const granted = await chrome.permissions.request({ origins });
+    if (!granted) {
+      ui('status').className = 'status error';
+      ui('status').innerText = 'Host permission for the probe URLs was declined; they would always look offline.';
+      return;
+    }
+  }
+  const res = await chrome.storage.local.get(['settings']);
+  const stored = res && res.settings;
+  // the form shows the policy's values for locked settings; store the user's own instead
+  const merged = normalizeSettings(keepUserSettings(Object.assign({}, stored, settings), stored, managedPolicy));
+  await chrome.storage.local.set({ settings: merged });
+  render(normalizeSettings(mergePolicySettings(merged, managedPolicy)));
+  ui('status').className = 'status';
+  ui('status').innerText = 'Saved. The extension uses the new settings right away.';
+}
+
+// ---- portal configuration export/import (configio.js) ----
+
+let pendingImport = null; // parsed file waiting for Apply
+
+function ioStatus(text, isError) {
+  ui('ioStatus').className = isError ? 'status error' : 'status';
+  ui('ioStatus').innerText = text;
+}
+
+// the worker holds the unlocked credentials; storage only has the profiles
+async function currentConfig() {
+  const cur = await new Promise(r => chrome.runtime.sendMessage({ type: 'getConfig' }, resp => r(resp)));
+  if (cur && cur.cfg) return normalizeConfig(cur.cfg);
+  const res = await chrome.storage.local.get(['cfg']);
+  return normalizeConfig(res && res.cfg);
+}
+
+async function exportProfiles() {
+  const cfg = await currentConfig();
+  if (!cfg.profiles.length) { ioStatus('There are no portal profiles to export.', true); return; }
+  const withCreds = ui('exportCreds').checked;
+  const data = exportConfig(cfg, withCreds);
+  const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `wifi-autologin-config-${new Date().toISOString().slice(0, 10)}.json`;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  const locked = withCreds ? cfg.profiles.filter(p => p.remember && !hasCredentials(p)).length : 0;
+  ioStatus(`Exported ${cfg.profiles.length} profile(s)` + (withCreds ? ' with credentials — keep the file private.' : ' without credentials.')
+    + (locked ? ` ${locked} remembered profile(s) were locked and exported without credentials; unlock them in the popup first.` : ''));
+}
+
+const CHANGE_TEXT = { add: 'Add', update: 'Update', unchanged: 'Unchanged', remove: 'Remove' };
+const CREDENTIAL_TEXT = { kept: 'stored credentials kept', 'from file': 'credentials from the file', dropped: 'its stored credentials are forgotten', none: '' };
+
+async function renderImportPreview() {
+  const list = ui('importPreview');
+  list.innerHTML = '';
+  ui('applyImportBtn').disabled = !pendingImport;
+  if (!pendingImport) return;
+  const plan = planConfigImport(await currentConfig(), pendingImport.cfg, ui('importMode').value);
+  plan.changes.forEach(c => {
+    const li = document.createElement('li');
+    const details = [c.fields.length ? 'changes ' + c.fields.join(', ') : '', CREDENTIAL_TEXT[c.credentials]].filter(Boolean);
+    li.innerText = `${CHANGE_TEXT[c.action]} "${c.name}"` + (details.length ? ` — ${details.join('; ')}` : '');
+    list.appendChild(li);
+  });
+}
+
+async function loadImportFile() {
+  pendingImport = null;
+  const file = ui('importFile').files[0];
+  if (file) {
+    const parsed = parseConfigFile(await file.text());
+    if (parsed.ok) {
+      pendingImport = parsed;
+      ioStatus(`"${file.name}": ${parsed.cfg.profiles.length} profile(s)` + (parsed.includesCredentials ? ', with credentials' : '') + '. Review the changes below, then Apply.');
+    } else {
+      ioStatus(`"${file.name}" cannot be imported: ${parsed.errors.join(' ')}`, true);
+    }
+  }
+  await renderImportPreview();
+}
+
+async function applyImport() {
+  if (!pendingImport) return;
+  // portal hosts need the same runtime permission the popup asks for on Save; ask first, while the
+  // click still counts as a user gesture
+  const origins = pendingImport.cfg.profiles.map(profileMatchPattern).filter(Boolean);
+  let granted = true;
+  try { granted = await chrome.permissions.request({ origins }); } catch (e) { granted = false; }
+  const plan = planConfigImport(await currentConfig(), pendingImport.cfg, ui('importMode').value);
+  await chrome.storage.local.set({ cfg: configForStorage(plan.cfg) });
+  const res = await new Promise(r => chrome.runtime.sendMessage({ type: 'setPlainConfig', cfg: plan.cfg }, resp => r(resp)));
+  pendingImport = null;
+  ui('importFile').value = '';
+  await renderImportPreview();
+  const notes = [];
+  if (!granted) notes.push('Access to some portal hosts was declined; grant it from the popup.');
+  if (res && res.error === 'vault_locked') notes.push('The vault is locked: credentials from the file for remembered profiles are not stored until you unlock it with your PIN in the popup.');
+  else if (res && res.error === 'vault_missing') notes.push('Choose a PIN (type it twice) in the popup and Unlock to encrypt the remembered credentials; until then they stay stored unencrypted.');
+  ioStatus(`Imported: ${plan.cfg.profiles.length} profile(s) configured. ${notes.join(' ')}`.trim(), notes.length > 0);
+}
+
+async function init() {
+  managedPolicy = await readPolicy();
+  const res = await chrome.storage.local.get(['settings']);
+  render(normalizeSettings(mergePolicySettings(res && res.settings, managedPolicy)));
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  ui('addProbeBtn').addEventListener('click', () => addCustomRow(null));
+  ui('saveBtn').addEventListener('click', save);
+  ui('exportBtn').addEventListener('click', exportProfiles);
+  ui('importFile').addEventListener('change', loadImportFile);
+  ui('importMode').addEventListener('change', renderImportPreview);
+  ui('applyImportBtn').addEventListener('click', applyImport);
+  init();
+});
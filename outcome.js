@@ -0,0 +1,97 @@
+// outcome.js - classify what the portal said after a login submission
+// loaded by service_worker.js via importScripts (uses its waitForTabLoaded/log helpers).
+// outcomes: 'success' | 'bad_credentials' | 'quota_exhausted' | 'already_logged_in' | 'unknown'
+// bad_credentials and quota_exhausted are hard failures: resubmitting can get the account locked.
+// A tab whose submitted form is still filled in never navigated, so whatever it says predates the
+// submission: that is always 'unknown'.
+
+const HARD_FAILURES = ['bad_credentials', 'quota_exhausted'];
+
+// checked in this order; a profile's own patterns (profile.outcomePatterns) are tried before these
+const BUILTIN_OUTCOME_PATTERNS = [
+  ['bad_credentials', /(invalid|incorrect|wrong) ((user ?name|user ?id|login) (or|and) )?(password|credentials)|password (is |was )?(invalid|incorrect|wrong)|authentication failed/i],
+  ['quota_exhausted', /quota (has been |is )?(exceeded|exhausted|used up)|data (limit|cap) (reached|exceeded)|concurrent (login|session)s?( limit)?|(maximum|max\.?) (number of )?(sessions|logins|devices|users)|login limit (reached|exceeded)|no (remaining|more) (time|data|balance|quota)|account (has )?(expired|been disabled|is disabled)/i],
+  ['already_logged_in', /already (logged|signed) ?in|already authenticated|session (is )?already active|already (online|connected)/i],
+  ['success', /(login|authentication|sign ?in) (was )?success|successfully (logged|signed|authenticated)|you are (now )?(logged|signed) ?in|you are (now )?connected/i]
+];
+
+const OUTCOME_LABELS = {
+  success: 'login succeeded',
+  bad_credentials: 'invalid username or password',
+  quota_exhausted: 'quota or login limit reached',
+  already_logged_in: 'already logged in (possibly on another device)',
+  unknown: 'no recognizable answer'
+};
+
+// profile patterns: { [outcome]: 'one regex per line' }
+function profileOutcomePatterns(cfg) {
+  const out = [];
+  const raw = (cfg && cfg.outcomePatterns) || {};
+  Object.keys(OUTCOME_LABELS).forEach(outcome => {
+    String(raw[outcome] || '').split('\n').map(l => l.trim()).filter(Boolean).forEach(src => {
+      try { out.push([outcome, new RegExp(src, 'i')]); } catch (e) { log('ignoring invalid outcome pattern', src); }
+    });
+  });
+  return out;
+}
+
+// returns { outcome, match, excerpt } (classifyOutcome adds remainingSec)
+function classifyText(text, cfg) {
+  const patterns = profileOutcomePatterns(cfg).concat(BUILTIN_OUTCOME_PATTERNS);
+  for (const [outcome, re] of patterns) {
+    const m = text.match(re);
+    if (m) {
+      const at = Math.max(0, m.index - 60);
+      return { outcome, match: m[0], excerpt: text.slice(at, at + 160).replace(/\s+/g, ' ').trim() };
+    }
+  }
+  return { outcome: 'unknown', match: '', excerpt: '' };
+}
+
+function htmlToText(html) {
+  return String(html || '')
+    .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\s+/g, ' ');
+}
+
+// visible text of every frame of the tab the submission happened in, and whether a password field there
+// still holds a value (a page loaded after the submission starts with it empty)
+async function readTabText(tabId) {
+  await waitForTabLoaded(tabId, 5000);
+  const results = await chrome.scripting.executeScript({
+    target: { tabId, allFrames: true },
+    func: () => {
+      try {
+        const filled = Array.from(document.querySelectorAll('input[type="password"]')).some(i => !!i.value);
+        return { text: (document.body && document.body.innerText || '').slice(0, 20000), filled };
+      } catch (e) {
+        return { text: '', filled: false };
+      }
+    }
+  });
+  const frames = (results || []).map(r => (r && r.result) || { text: '', filled: false });
+  return { text: frames.map(f => f.text).join('\n'), formStillFilled: frames.some(f => f.filled) };
+}
+
+async function classifyOutcome(cfg, submitRes) {
+  try {
+    let text = '';
+    if (submitRes.mode === 'direct') {
+      text = htmlToText(submitRes.html);
+    } else if (submitRes.tabId) {
+      const page = await readTabText(submitRes.tabId);
+      if (page.formStillFilled) {
+        log('classifyOutcome: the submitted form is still on the page; not classifying');
+        return { outcome: 'unknown', match: '', excerpt: '', remainingSec: 0 };
+      }
+      text = page.text;
+    }
+    // the same text often says how long the session lasts (session.js)
+    return Object.assign(classifyText(text, cfg), { remainingSec: parseRemainingTime(text) });
+  } catch (e) {
+    log('classifyOutcome failed', e);
+    return { outcome: 'unknown', match: '', excerpt: '', remainingSec: 0 };
+  }
+}
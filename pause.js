@@ -0,0 +1,109 @@
+// pause.js - pause/snooze auto-login (popup, toolbar context menu, keyboard command)
+// loaded by service_worker.js via importScripts (uses its log helper and checkAndLogin).
+// stored in chrome.storage.local `pause`: { mode: 'timed' | 'restart' | 'indefinite', until, at }
+// 'timed' ends with the PAUSE_END_ALARM, 'restart' is dropped on browser startup, 'indefinite' waits for Resume.
+// While paused no login, retry or keepalive refresh runs (a manual Test login still does) and the badge says so.
+
+const PAUSE_KEY = 'pause';
+const PAUSE_END_ALARM = 'pauseEnd';
+const PAUSE_MODES = ['timed', 'restart', 'indefinite'];
+const DEFAULT_PAUSE_MINUTES = 30;
+const COMMAND_PAUSE_MINUTES = 30;
+
+let pauseState = null;
+
+async function restorePause() {
+  try {
+    const res = await chrome.storage.local.get([PAUSE_KEY]);
+    pauseState = (res && res[PAUSE_KEY]) || null;
+  } catch (e) {
+    pauseState = null;
+  }
+  if (pauseState && !isPaused()) await resumeAutoLogin(false);
+  else updatePauseBadge();
+}
+const pauseReady = restorePause();
+
+function isPaused() {
+  if (!pauseState) return false;
+  return pauseState.mode !== 'timed' || pauseState.until > Date.now();
+}
+
+function pauseLabel(p) {
+  if (!p) return '';
+  if (p.mode === 'timed') return 'paused until ' + new Date(p.until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return p.mode === 'restart' ? 'paused until the browser restarts' : 'paused until resumed';
+}
+
+function updatePauseBadge() {
+  const paused = isPaused();
+  chrome.action.setBadgeText({ text: paused ? 'II' : '' });
+  if (paused) chrome.action.setBadgeBackgroundColor({ color: '#6b7280' });
+  chrome.action.setTitle({ title: paused ? `WiFi AutoLogin (${pauseLabel(pauseState)})` : 'WiFi AutoLogin' });
+}
+
+async function pauseAutoLogin(mode, minutes) {
+  if (!PAUSE_MODES.includes(mode)) return { ok: false, error: 'bad_mode' };
+  const now = Date.now();
+  pauseState = { mode, at: now, until: mode === 'timed' ? now + (minutes || DEFAULT_PAUSE_MINUTES) * 60 * 1000 : 0 };
+  await chrome.storage.local.set({ [PAUSE_KEY]: pauseState });
+  if (mode === 'timed') chrome.alarms.create(PAUSE_END_ALARM, { when: pauseState.until });
+  else chrome.alarms.clear(PAUSE_END_ALARM);
+  // a pending backoff retry would only be skipped; drop it
+  await setBackoff(0);
+  updatePauseBadge();
+  broadcastStatus();
+  log('auto-login', pauseLabel(pauseState));
+  journal('pause', '', 'info', { mode, until: pauseState.until });
+  return { ok: true, pause: pauseState };
+}
+
+// `check` runs a connectivity check right away (not when a pause expired while the browser was closed)
+async function resumeAutoLogin(check = true) {
+  const wasPaused = !!pauseState;
+  pauseState = null;
+  await chrome.storage.local.remove([PAUSE_KEY]);
+  chrome.alarms.clear(PAUSE_END_ALARM);
+  updatePauseBadge();
+  broadcastStatus();
+  if (wasPaused) {
+    log('auto-login resumed');
+    journal('pause', '', 'info', { mode: 'resumed' });
+  }
+  if (check) checkAndLogin(false);
+  return { ok: true };
+}
+
+// toolbar icon context menu (menus persist, so they are created once per install/update)
+const PAUSE_MENU = {
+  'pause-30': 'Pause auto-login for 30 minutes',
+  'pause-restart': 'Pause until the browser restarts',
+  'pause-indefinite': 'Pause until resumed',
+  'pause-resume': 'Resume auto-login'
+};
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    Object.keys(PAUSE_MENU).forEach(id => chrome.contextMenus.create({ id, title: PAUSE_MENU[id], contexts: ['action'] }));
+  });
+});
+
+chrome.contextMenus.onClicked.addListener(async (info) => {
+  await pauseReady;
+  if (info.menuItemId === 'pause-30') await pauseAutoLogin('timed', 30);
+  else if (info.menuItemId === 'pause-restart') await pauseAutoLogin('restart');
+  else if (info.menuItemId === 'pause-indefinite') await pauseAutoLogin('indefinite');
+  else if (info.menuItemId === 'pause-resume') await resumeAutoLogin();
+});
+
+chrome.commands.onCommand.addListener(async (command) => {
+  if (command !== 'toggle-pause') return;
+  await pauseReady;
+  if (isPaused()) await resumeAutoLogin();
+  else await pauseAutoLogin('timed', COMMAND_PAUSE_MINUTES);
+});
+
+chrome.runtime.onStartup.addListener(async () => {
+  await pauseReady;
+  if (pauseState && pauseState.mode === 'restart') await resumeAutoLogin(false);
+});
@@ -0,0 +1,147 @@
+// picker.js — visual field picker: the user clicks the username field, the password field and the login button
+// Injected into every frame of the portal tab by the worker (fieldpicker.js), again after each page load.
+// Hovered elements are outlined in every frame, open shadow roots included; each click is turned into a
+// locator (see locate.js) and sent to the worker, which asks all frames for the next field. Page clicks
+// are swallowed while picking, so the login button can be picked without submitting anything.
+(function(){
+  if (window.__wifiAutologinPicker) return;
+  window.__wifiAutologinPicker = true;
+
+  const ROLE_TEXT = { user: 'the username field', pass: 'the password field', submit: 'the login button' };
+  const isTop = window === window.top;
+  let role = null;          // field being picked; null when the picker is not active
+  let box = null;           // hover outline
+  let banner = null;        // instructions (top frame only)
+
+  function cssEscape(s) {
+    return (window.CSS && CSS.escape) ? CSS.escape(s) : String(s).replace(/[^a-zA-Z0-9_-]/g, c => '\\' + c);
+  }
+
+  // selector for `el` that is unique within its own root (document or shadow root)
+  function selectorIn(root, el) {
+    const unique = sel => { try { return root.querySelectorAll(sel).length === 1; } catch (e) { return false; } };
+    if (el.id && unique('#' + cssEscape(el.id))) return '#' + cssEscape(el.id);
+    const tag = el.tagName.toLowerCase();
+    if (el.getAttribute('name')) {
+      const sel = `${tag}[name="${el.getAttribute('name').replace(/["\\]/g, '\\$&')}"]`;
+      if (unique(sel)) return sel;
+    }
+    const parts = [];
+    let node = el;
+    while (node && node.nodeType === 1) {
+      if (node !== el && node.id && unique('#' + cssEscape(node.id))) { parts.unshift('#' + cssEscape(node.id)); break; }
+      const t = node.tagName.toLowerCase();
+      const parent = node.parentNode;
+      const sibs = parent && parent.children ? Array.from(parent.children).filter(c => c.tagName === node.tagName) : [];
+      parts.unshift(sibs.length > 1 ? `${t}:nth-of-type(${sibs.indexOf(node) + 1})` : t);
+      if (!node.parentElement) break; // top of the document or of a shadow root
+      node = node.parentElement;
+    }
+    return parts.join(' > ');
+  }
+
+  function locatorFor(el) {
+    const path = [];
+    let node = el;
+    while (node) {
+      const root = node.getRootNode();
+      path.unshift(selectorIn(root, node));
+      node = (window.ShadowRoot && root instanceof ShadowRoot) ? root.host : null;
+    }
+    return { path, frame: location.origin + location.pathname + '*', name: el.getAttribute('name') || '' };
+  }
+
+  // what a click on `t` means for the field being picked
+  function targetFor(t) {
+    if (role === 'submit') return (t.closest && t.closest('button, input[type="submit"], input[type="image"], input[type="button"], [role="button"], a')) || t;
+    if (t.tagName === 'LABEL' && t.control) return t.control;
+    return (t.closest && t.closest('input, textarea')) || t;
+  }
+
+  function isOwnUi(e) {
+    return e.composedPath().some(n => n === banner || n === box);
+  }
+
+  function ensureUi() {
+    if (!box) {
+      box = document.createElement('div');
+      box.style.cssText = 'position:fixed; z-index:2147483647; pointer-events:none; border:2px solid #f59e0b; background:rgba(245,158,11,0.15); border-radius:3px; display:none;';
+      document.documentElement.appendChild(box);
+    }
+    if (isTop && !banner) {
+      banner = document.createElement('div');
+      banner.style.cssText = 'position:fixed; z-index:2147483647; top:8px; left:50%; transform:translateX(-50%); background:#111; color:#fff; font:13px/1.4 -apple-system, Segoe UI, Roboto, Arial; padding:8px 12px; border-radius:8px; box-shadow:0 4px 12px rgba(0,0,0,0.3); display:flex; gap:10px; align-items:center;';
+      const text = document.createElement('span');
+      const skip = document.createElement('button');
+      const cancel = document.createElement('button');
+      skip.textContent = 'No button (press Enter)';
+      cancel.textContent = 'Cancel';
+      [skip, cancel].forEach(b => { b.style.cssText = 'font:inherit; padding:2px 8px; border-radius:6px; border:0; cursor:pointer;'; });
+      skip.addEventListener('click', () => send({ type: 'pickerSkip' }));
+      cancel.addEventListener('click', () => send({ type: 'pickerCancel' }));
+      banner.append(text, skip, cancel);
+      document.documentElement.appendChild(banner);
+    }
+    if (banner) {
+      banner.firstChild.textContent = `WiFi AutoLogin: click ${ROLE_TEXT[role]}`;
+      banner.children[1].style.display = role === 'submit' ? '' : 'none';
+    }
+  }
+
+  function removeUi() {
+    if (box) box.remove();
+    if (banner) banner.remove();
+    box = null;
+    banner = null;
+  }
+
+  function setRole(next) {
+    role = next || null;
+    if (role) ensureUi(); else removeUi();
+  }
+
+  function send(msg) {
+    try { chrome.runtime.sendMessage(msg, () => {}); } catch (e) {}
+  }
+
+  document.addEventListener('mousemove', (e) => {
+    if (!role || !box || isOwnUi(e)) return;
+    const el = targetFor(e.composedPath()[0]);
+    if (!el || !el.getBoundingClientRect) return;
+    const r = el.getBoundingClientRect();
+    Object.assign(box.style, { display: 'block', left: r.left - 2 + 'px', top: r.top - 2 + 'px', width: r.width + 'px', height: r.height + 'px' });
+  }, true);
+
+  document.addEventListener('mouseleave', () => { if (box) box.style.display = 'none'; }, true);
+
+  // swallow the page's own handling of the click, then report the picked element
+  ['mousedown', 'mouseup', 'pointerdown', 'pointerup'].forEach(type => document.addEventListener(type, (e) => {
+    if (role && !isOwnUi(e)) { e.preventDefault(); e.stopImmediatePropagation(); }
+  }, true));
+
+  document.addEventListener('click', (e) => {
+    if (!role || isOwnUi(e)) return;
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    const el = targetFor(e.composedPath()[0]);
+    if (!el || el.nodeType !== 1) return;
+    if (role !== 'submit' && !/^(INPUT|TEXTAREA)$/.test(el.tagName)) return;
+    send({ type: 'pickerPick', role, locator: locatorFor(el) });
+  }, true);
+
+  document.addEventListener('keydown', (e) => {
+    if (!role) return;
+    if (e.key === 'Escape') send({ type: 'pickerCancel' });
+    else if (e.key === 'Enter' && role === 'submit') send({ type: 'pickerSkip' });
+  }, true);
+
+  chrome.runtime.onMessage.addListener((msg) => {
+    if (msg && msg.type === 'pickerState') setRole(msg.role);
+  });
+
+  try {
+    chrome.runtime.sendMessage({ type: 'pickerHello' }, (resp) => setRole(resp && resp.role));
+  } catch (e) {
+    // no-op
+  }
+})();
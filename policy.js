@@ -0,0 +1,124 @@
+// policy.js - configuration pushed by an administrator through chrome.storage.managed (schema: managed_schema.json)
+// shared by the worker, the popup and the options page (uses settings.js and profiles.js).
+// policy: { profiles: [ { id, name, loginUrl, userField, passField, submitField, extraFields, loginMode, logoutUrl,
+//   sessionMinutes, outcomePatterns, schedule } ], defaultProfileId, settings: { any DEFAULT_SETTINGS key } }
+// Every field a policy profile sets is locked: the worker lays it over the user's copy of that profile, adding the
+// profile when the user has none, so users only fill in their own credentials. Policy settings are laid over the
+// user's settings the same way, key by key (sub-key by sub-key for grouped ones such as backoff).
+
+const POLICY_PROFILE_FIELDS = ['name', 'loginUrl', 'userField', 'passField', 'submitField', 'extraFields', 'loginMode', 'logoutUrl', 'sessionMinutes', 'outcomePatterns', 'schedule'];
+const POLICY_LOCATOR_FIELDS = ['userField', 'passField', 'submitField'];
+
+function isPlainObject(v) {
+  return !!v && typeof v === 'object' && !Array.isArray(v);
+}
+
+// keep what the extension understands; values are normalized later like user input
+function normalizePolicy(raw) {
+  const r = isPlainObject(raw) ? raw : {};
+  const profiles = (Array.isArray(r.profiles) ? r.profiles : [])
+    .filter(p => isPlainObject(p) && typeof p.id === 'string' && p.id.trim())
+    .map(p => {
+      const out = { id: p.id.trim() };
+      POLICY_PROFILE_FIELDS.forEach(k => { if (p[k] !== undefined && p[k] !== null) out[k] = p[k]; });
+      if (out.loginUrl !== undefined && !isHttpUrl(out.loginUrl)) delete out.loginUrl;
+      if (out.logoutUrl && !isHttpUrl(out.logoutUrl)) delete out.logoutUrl;
+      return out;
+    });
+  const settings = {};
+  const rs = isPlainObject(r.settings) ? r.settings : {};
+  Object.keys(rs).filter(k => k in DEFAULT_SETTINGS).forEach(k => {
+    if (!isPlainObject(DEFAULT_SETTINGS[k])) {
+      settings[k] = rs[k];
+      return;
+    }
+    if (!isPlainObject(rs[k])) return;
+    const sub = {};
+    Object.keys(rs[k]).filter(s => s in DEFAULT_SETTINGS[k]).forEach(s => { sub[s] = rs[k][s]; });
+    if (Object.keys(sub).length) settings[k] = sub;
+  });
+  const defaultProfileId = profiles.some(p => p.id === r.defaultProfileId) ? r.defaultProfileId : null;
+  return { profiles, defaultProfileId, settings };
+}
+
+async function readPolicy() {
+  try {
+    return normalizePolicy(await chrome.storage.managed.get(null));
+  } catch (e) {
+    // no managed storage on this browser: nothing is locked
+    return normalizePolicy(null);
+  }
+}
+
+function hasPolicy(policy) {
+  return policy.profiles.length > 0 || Object.keys(policy.settings).length > 0;
+}
+
+// 'checkPeriodMin', 'backoff.capSec', ... for every setting the policy fixes
+function policySettingPaths(policy) {
+  const paths = [];
+  Object.keys(policy.settings).forEach(k => {
+    if (isPlainObject(DEFAULT_SETTINGS[k])) Object.keys(policy.settings[k]).forEach(s => paths.push(k + '.' + s));
+    else paths.push(k);
+  });
+  return paths;
+}
+
+// raw user settings with the policy's values laid over them (run normalizeSettings on the result)
+function mergePolicySettings(raw, policy) {
+  const out = Object.assign({}, raw);
+  Object.keys(policy.settings).forEach(k => {
+    const v = policy.settings[k];
+    out[k] = isPlainObject(v) ? Object.assign({}, out[k], v) : v;
+  });
+  return out;
+}
+
+// `next` with every policy-fixed setting put back to its value in `prev` (the user's own, kept for when the
+// policy goes away)
+function keepUserSettings(next, prev, policy) {
+  const out = Object.assign({}, next);
+  const p = prev || {};
+  policySettingPaths(policy).forEach(path => {
+    const [k, s] = path.split('.');
+    if (!s) {
+      if (p[k] === undefined) delete out[k];
+      else out[k] = p[k];
+      return;
+    }
+    out[k] = Object.assign({}, out[k]);
+    if (!p[k] || p[k][s] === undefined) delete out[k][s];
+    else out[k][s] = p[k][s];
+  });
+  return out;
+}
+
+function isPolicyProfile(policy, profileId) {
+  return policy.profiles.some(p => p.id === profileId);
+}
+
+// profile fields the policy fixes for `profileId` ([] for the user's own profiles)
+function lockedProfileFields(policy, profileId) {
+  const pp = policy.profiles.find(p => p.id === profileId);
+  if (!pp) return [];
+  const fields = Object.keys(pp).filter(k => k !== 'id');
+  // picked fields take precedence over locators, so they would undo the administrator's
+  if (fields.some(k => POLICY_LOCATOR_FIELDS.includes(k))) fields.push('pickedFields');
+  return fields;
+}
+
+// `cfg` with each policy profile added or its locked fields overridden; credentials are left alone
+function applyPolicyProfiles(cfg, policy) {
+  if (!policy.profiles.length) return cfg;
+  const n = normalizeConfig(cfg);
+  policy.profiles.forEach(pp => {
+    const patch = Object.assign({}, pp);
+    if (lockedProfileFields(policy, pp.id).includes('pickedFields')) patch.pickedFields = null;
+    const existing = findProfile(n, pp.id);
+    if (existing) n.profiles = n.profiles.map(p => p.id === pp.id ? Object.assign({}, p, patch) : p);
+    else n.profiles.push(newProfile(Object.assign({ name: pp.id }, patch)));
+  });
+  if (policy.defaultProfileId) n.defaultProfileId = policy.defaultProfileId;
+  // re-normalize: policy locators and extra fields go through the same migration as stored ones
+  return normalizeConfig(n);
+}
@@ -1,54 +1,406 @@
 // popup.js
 function ui(id){ return document.getElementById(id); }
 
+// profiles being edited, with whatever credentials the worker currently holds (storage has none)
+let config = { profiles: [], defaultProfileId: null };
+let currentProfileId = null;
+// administrator policy (policy.js); its profile fields are read-only here
+let managedPolicy = normalizePolicy(null);
+
 async function sendToWorker(msg) {
   return new Promise(resolve => chrome.runtime.sendMessage(msg, resp => resolve(resp)));
 }
 
-async function saveConfig() {
-  const cfg = {
-    loginUrl: ui('loginUrl').value.trim() || 'http://172.16.2.1:1000',
-    userField: ui('userField').value.trim() || 'username',
-    passField: ui('passField').value.trim() || 'password',
+function renderProfiles() {
+  const sel = ui('profileSelect');
+  sel.innerHTML = '';
+  config.profiles.forEach(p => {
+    const opt = document.createElement('option');
+    opt.value = p.id;
+    opt.textContent = p.name + (p.id === config.defaultProfileId ? ' (default)' : '');
+    sel.appendChild(opt);
+  });
+  sel.value = currentProfileId || '';
+  // the worker would add a policy profile right back
+  ui('deleteProfileBtn').disabled = config.profiles.length === 0 || isPolicyProfile(managedPolicy, currentProfileId);
+}
+
+const OUTCOME_PATTERN_KEYS = ['bad_credentials', 'quota_exhausted', 'already_logged_in', 'success'];
+const HARD_FAILURE_TEXT = { bad_credentials: 'the portal rejected the username or password', quota_exhausted: 'the portal reported the quota or login limit is reached' };
+
+function fillForm(p) {
+  ui('profileName').value = p.name || '';
+  ui('isDefault').checked = p.id === config.defaultProfileId;
+  ui('loginUrl').value = p.loginUrl || DEFAULT_LOGIN_URL;
+  ui('userField').value = p.userField || 'name:username';
+  ui('passField').value = p.passField || 'name:password';
+  ui('submitField').value = p.submitField || '';
+  ui('logoutUrl').value = p.logoutUrl || '';
+  ui('username').value = p.username || '';
+  ui('password').value = p.password || '';
+  ui('remember').checked = !!p.remember;
+  ui('loginMode').value = p.loginMode || 'tab';
+  ui('scheduleOn').checked = !!p.schedule;
+  ui('scheduleFrom').value = p.schedule ? p.schedule.from : '07:00';
+  ui('scheduleTo').value = p.schedule ? p.schedule.to : '01:00';
+  ui('sessionMinutes').value = p.sessionMinutes || 0;
+  renderMacro(p);
+  renderPicker(p);
+  renderHostAccess(p);
+  renderExtraFields(p.extraFields);
+  renderFallbackAccounts(p.fallbackAccounts);
+  OUTCOME_PATTERN_KEYS.forEach(k => { ui('pat_' + k).value = (p.outcomePatterns && p.outcomePatterns[k]) || ''; });
+  const alert = ui('profileAlert');
+  if (p.hardFailure) {
+    alert.style.display = '';
+    alert.innerText = `Auto-login stopped ${new Date(p.hardFailure.at).toLocaleString()}: ${HARD_FAILURE_TEXT[p.hardFailure.reason] || p.hardFailure.reason}`
+      + (p.hardFailure.excerpt ? ` (“${p.hardFailure.excerpt}”)` : '') + '. Fix the profile and Save to resume, or use Test login.';
+  } else {
+    alert.style.display = 'none';
+  }
+  ui('lastMode').innerText = p.lastMode ? `Last successful login used: ${p.lastMode === 'direct' ? 'direct POST' : 'portal tab'}` : '';
+  renderPolicyLocks(p);
+}
+
+// popup inputs of each profile field a policy can lock
+const POLICY_FIELD_INPUTS = {
+  name: ['profileName'], loginUrl: ['loginUrl'], userField: ['userField'], passField: ['passField'], submitField: ['submitField'],
+  loginMode: ['loginMode'], logoutUrl: ['logoutUrl'], sessionMinutes: ['sessionMinutes'],
+  schedule: ['scheduleOn', 'scheduleFrom', 'scheduleTo'], outcomePatterns: OUTCOME_PATTERN_KEYS.map(k => 'pat_' + k)
+};
+const POLICY_FIELD_LABELS = {
+  name: 'name', loginUrl: 'portal URL', userField: 'username field', passField: 'password field', submitField: 'login button',
+  extraFields: 'extra fields', loginMode: 'login mode', logoutUrl: 'logout URL', sessionMinutes: 'session length',
+  outcomePatterns: 'portal answers', schedule: 'auto-login window'
+};
+
+// fields set by the administrator are read-only; the note lists them and the settings the policy fixes
+function renderPolicyLocks(p) {
+  const locked = lockedProfileFields(managedPolicy, p.id);
+  Object.keys(POLICY_FIELD_INPUTS).forEach(k => POLICY_FIELD_INPUTS[k].forEach(id => { ui(id).disabled = locked.includes(k); }));
+  const extraLocked = locked.includes('extraFields');
+  ui('extraRows').querySelectorAll('input, select, button').forEach(el => { el.disabled = extraLocked; });
+  ui('addExtraBtn').disabled = extraLocked;
+  ui('mapBtn').classList.toggle('disabled', locked.includes('pickedFields'));
+  const notes = [];
+  const labels = locked.filter(k => POLICY_FIELD_LABELS[k]).map(k => POLICY_FIELD_LABELS[k]);
+  if (labels.length) notes.push(`Set by your organization: ${labels.join(', ')}.`);
+  const paths = policySettingPaths(managedPolicy);
+  if (paths.length) notes.push(`Settings fixed by policy: ${paths.join(', ')}.`);
+  ui('policyInfo').innerText = notes.join(' ');
+  ui('policyInfo').style.display = notes.length ? '' : 'none';
+}
+
+function readForm(p) {
+  return Object.assign({}, p, {
+    name: ui('profileName').value.trim() || 'Default',
+    loginUrl: ui('loginUrl').value.trim() || DEFAULT_LOGIN_URL,
+    userField: migrateFieldSpec(ui('userField').value) || 'name:username',
+    passField: migrateFieldSpec(ui('passField').value) || 'name:password',
+    submitField: migrateFieldSpec(ui('submitField').value),
+    logoutUrl: ui('logoutUrl').value.trim(),
     username: ui('username').value,
     password: ui('password').value,
-    extraFields: ''
-  };
-  // cache it in worker
-  await sendToWorker({ type:'setPlainConfig', cfg });
-
-  if (ui('remember').checked) {
-    // persist to storage forever until cleared
-    await new Promise(r => chrome.storage.local.set({ cfg }, r));
-    ui('status').innerText = 'Saved and remembered.';
+    fallbackAccounts: readFallbackAccounts(),
+    remember: ui('remember').checked,
+    loginMode: ui('loginMode').value,
+    extraFields: readExtraFields(),
+    sessionMinutes: parseInt(ui('sessionMinutes').value, 10) || 0,
+    schedule: ui('scheduleOn').checked ? normalizeSchedule({ from: ui('scheduleFrom').value, to: ui('scheduleTo').value }) : null,
+    outcomePatterns: OUTCOME_PATTERN_KEYS.reduce((o, k) => { o[k] = ui('pat_' + k).value.trim(); return o; }, {}),
+    // saving is the user's go-ahead to retry after a rejected login
+    hardFailure: null
+  });
+}
+
+// extra form fields editor: one row per { name, value, mode }
+function addExtraRow(f) {
+  const row = document.createElement('div');
+  row.className = 'extra';
+  const name = document.createElement('input');
+  name.type = 'text';
+  name.placeholder = 'name';
+  name.dataset.k = 'name';
+  name.value = (f && f.name) || '';
+  const value = document.createElement('input');
+  value.type = 'text';
+  value.placeholder = 'value or {{template}}';
+  value.dataset.k = 'value';
+  value.value = (f && f.value) || '';
+  const mode = document.createElement('select');
+  mode.dataset.k = 'mode';
+  [['overwrite', 'Overwrite'], ['add', 'Add hidden']].forEach(([v, text]) => {
+    const opt = document.createElement('option');
+    opt.value = v;
+    opt.textContent = text;
+    mode.appendChild(opt);
+  });
+  mode.value = (f && f.mode) || 'overwrite';
+  const rm = document.createElement('button');
+  rm.textContent = '×';
+  rm.title = 'Remove this field';
+  rm.addEventListener('click', () => { row.remove(); updateExtraCount(); });
+  row.append(name, value, mode, rm);
+  ui('extraRows').appendChild(row);
+}
+
+function renderExtraFields(list) {
+  ui('extraRows').innerHTML = '';
+  normalizeExtraFields(list).forEach(addExtraRow);
+  updateExtraCount();
+}
+
+function extraRows() {
+  return Array.from(ui('extraRows').querySelectorAll('.extra')).map(row => {
+    const get = k => row.querySelector(`[data-k="${k}"]`).value;
+    return { name: get('name').trim(), value: get('value'), mode: get('mode') };
+  });
+}
+
+function readExtraFields() {
+  return normalizeExtraFields(extraRows());
+}
+
+function updateExtraCount() {
+  const n = readExtraFields().length;
+  ui('extraCount').innerText = n ? String(n) : 'none';
+}
+
+// fallback accounts editor: one row per { username, password }
+function addAccountRow(a) {
+  const row = document.createElement('div');
+  row.className = 'extra';
+  const user = document.createElement('input');
+  user.type = 'text';
+  user.placeholder = 'username';
+  user.dataset.k = 'username';
+  user.value = (a && a.username) || '';
+  const pass = document.createElement('input');
+  pass.type = 'password';
+  pass.placeholder = 'password';
+  pass.dataset.k = 'password';
+  pass.value = (a && a.password) || '';
+  const rm = document.createElement('button');
+  rm.textContent = '×';
+  rm.title = 'Remove this account';
+  rm.addEventListener('click', () => { row.remove(); updateAccountCount(); });
+  row.append(user, pass, rm);
+  ui('accountRows').appendChild(row);
+}
+
+function renderFallbackAccounts(list) {
+  ui('accountRows').innerHTML = '';
+  normalizeFallbackAccounts(list).forEach(addAccountRow);
+  updateAccountCount();
+}
+
+function readFallbackAccounts() {
+  return normalizeFallbackAccounts(Array.from(ui('accountRows').querySelectorAll('.extra')).map(row => ({
+    username: row.querySelector('[data-k="username"]').value,
+    password: row.querySelector('[data-k="password"]').value
+  })));
+}
+
+function updateAccountCount() {
+  const n = readFallbackAccounts().length;
+  ui('accountCount').innerText = n ? String(n) : 'none';
+}
+
+function extraFieldErrors() {
+  return extraRows().filter(f => !f.name && f.value).map(f => `Extra field with value "${f.value}" needs a name.`);
+}
+
+function showProfile(id) {
+  currentProfileId = id;
+  const p = findProfile(config, id);
+  if (p) fillForm(p);
+  renderProfiles();
+  renderKeepalive();
+}
+
+// keepalive state is written by the worker after a login (see keepalive.js)
+function renderKeepalive() {
+  chrome.storage.local.get(['keepalive'], (res) => {
+    const entry = res && res.keepalive && res.keepalive[currentProfileId];
+    if (!entry || !entry.url) { ui('keepaliveInfo').innerText = ''; return; }
+    const when = entry.lastOkAt ? new Date(entry.lastOkAt).toLocaleTimeString() : 'never';
+    const every = Math.max(1, Math.floor(entry.intervalSec / 2 / 60));
+    ui('keepaliveInfo').innerText = entry.lastError
+      ? `Keepalive stopped (${entry.lastError}); last success ${when}.`
+      : `Keepalive: last refreshed ${when}, every ${every} min.`;
+  });
+}
+
+// write profiles to storage and hand the full set (with credentials) to the worker, which seals remembered ones
+async function persistConfig() {
+  await new Promise(r => chrome.storage.local.set({ cfg: configForStorage(config) }, r));
+  return sendToWorker({ type:'setPlainConfig', cfg: config });
+}
+
+async function renderVault() {
+  const st = await sendToWorker({ type:'vaultStatus' });
+  if (!st || !st.ok) return;
+  ui('unlockMinutes').value = String(st.unlockMinutes);
+  ui('lockBtn').disabled = !st.unlocked;
+  if (st.unlocked) ui('vaultInfo').innerText = `Unlocked until ${new Date(st.expiresAt).toLocaleTimeString()}.`;
+  else ui('vaultInfo').innerText = st.exists ? 'Locked: enter your PIN to unlock remembered credentials.' : 'Choose a PIN to encrypt remembered credentials.';
+  // a new PIN is typed twice: there is no way to recover a mistyped one
+  ui('pinConfirm').style.display = st.exists ? 'none' : '';
+}
+
+// unlock (or create) the vault with the PIN typed in the popup
+async function unlockVault() {
+  const pin = ui('pin').value;
+  if (!pin) { ui('message').innerText = 'Enter your PIN first.'; return false; }
+  if (ui('pinConfirm').style.display !== 'none' && ui('pinConfirm').value !== pin) {
+    ui('message').innerText = 'The two PINs differ: type the new PIN twice.';
+    ui('pinConfirm').value = '';
+    return false;
+  }
+  const res = await sendToWorker({ type:'unlockVault', pin, unlockMinutes: parseInt(ui('unlockMinutes').value, 10) });
+  ui('pin').value = '';
+  ui('pinConfirm').value = '';
+  if (!res || !res.ok) {
+    ui('message').innerText = res && res.error === 'bad_pin' ? 'Wrong PIN.' : 'Unlock failed.';
+    return false;
+  }
+  // pick up the decrypted credentials without dropping unsaved edits
+  const cur = await sendToWorker({ type:'getConfig' });
+  if (cur && cur.cfg) {
+    config = mergeCredentials(config, cur.cfg);
+    showProfile(currentProfileId);
+  }
+  ui('message').innerText = 'Unlocked.';
+  await renderVault();
+  return true;
+}
+
+async function lockVault() {
+  await sendToWorker({ type:'lockVault' });
+  config.profiles = config.profiles.map(p => p.remember ? Object.assign({}, p, { username: '', password: '', fallbackAccounts: [] }) : p);
+  showProfile(currentProfileId);
+  ui('message').innerText = 'Locked.';
+  await renderVault();
+}
+
+// problems with the locator fields; CSS and XPath syntax is checked against this page's engine
+function locatorErrors() {
+  const errors = [];
+  [['userField', 'Username field'], ['passField', 'Password field'], ['submitField', 'Login button']].forEach(([id, label]) => {
+    const parsed = parseLocatorSpec(ui(id).value);
+    parsed.errors.forEach(e => errors.push(`${label}: ${e}`));
+    parsed.locators.forEach(l => {
+      try {
+        if (l.type === 'css') document.createDocumentFragment().querySelector(l.value);
+        else if (l.type === 'xpath') document.createExpression(l.value);
+      } catch (e) {
+        errors.push(`${label}: invalid ${l.type} "${l.value}".`);
+      }
+    });
+  });
+  return errors;
+}
+
+async function saveConfig() {
+  const errors = locatorErrors().concat(extraFieldErrors());
+  if (ui('scheduleOn').checked && !normalizeSchedule({ from: ui('scheduleFrom').value, to: ui('scheduleTo').value })) {
+    errors.push('Auto-login window: enter two different times.');
+  }
+  if (!ui('sessionMinutes').checkValidity()) errors.push(`Session length: enter whole minutes up to ${MAX_SESSION_MINUTES} (0 = unknown).`);
+  if (ui('logoutUrl').value.trim() && !/^https?:\/\/[^/]/i.test(ui('logoutUrl').value.trim())) errors.push('Logout URL: enter an http(s) URL.');
+  if (errors.length) { ui('message').innerText = errors.join(' '); return; }
+  // ask first: the permission prompt needs the click's user gesture
+  const granted = await requestHostAccess(ui('loginUrl').value.trim() || DEFAULT_LOGIN_URL);
+  let p = findProfile(config, currentProfileId);
+  if (!p) {
+    p = newProfile();
+    config.profiles.push(p);
+  }
+  const updated = readForm(p);
+  config.profiles = config.profiles.map(x => x.id === updated.id ? updated : x);
+  if (ui('isDefault').checked || !config.defaultProfileId) config.defaultProfileId = updated.id;
+  currentProfileId = updated.id;
+  if (updated.remember) {
+    const st = await sendToWorker({ type:'vaultStatus' });
+    if (st && !st.unlocked && !(await unlockVault())) {
+      ui('message').innerText += ' Credentials not remembered until the PIN is entered.';
+      return;
+    }
+  }
+  const res = await persistConfig();
+  renderProfiles();
+  renderHostAccess(updated);
+  if (!granted) {
+    ui('message').innerText = 'Saved, but access to the portal host was declined: auto-login cannot work there.';
+    return;
+  }
+  if (res && res.error === 'vault_locked') ui('message').innerText = 'Saved, but the vault is locked: enter your PIN to remember credentials.';
+  else if (res && res.error === 'vault_missing') ui('message').innerText = 'Saved. Choose a PIN (type it twice) and Unlock to encrypt your remembered credentials; until then they stay stored unencrypted.';
+  else ui('message').innerText = updated.remember ? 'Saved and remembered (encrypted).' : 'Saved (credentials not remembered).';
+}
+
+function addProfile() {
+  const p = newProfile({ name: 'Profile ' + (config.profiles.length + 1) });
+  config.profiles.push(p);
+  showProfile(p.id);
+  ui('message').innerText = 'New profile: fill in the details and Save.';
+}
+
+async function deleteProfile() {
+  const p = findProfile(config, currentProfileId);
+  if (!p) return;
+  if (!confirm(`Delete profile "${p.name}"?`)) return;
+  config.profiles = config.profiles.filter(x => x.id !== p.id);
+  if (config.defaultProfileId === p.id) config.defaultProfileId = config.profiles.length ? config.profiles[0].id : null;
+  await persistConfig();
+  if (config.profiles.length) {
+    showProfile(config.profiles[0].id);
   } else {
-    ui('status').innerText = 'Saved (not remembered).';
+    currentProfileId = null;
+    fillForm(newProfile({ name: 'Default' }));
+    renderProfiles();
   }
+  ui('message').innerText = `Deleted profile "${p.name}".`;
+}
+
+async function logoutNow() {
+  if (!findProfile(config, currentProfileId)) { ui('message').innerText = 'Save the profile first.'; return; }
+  ui('message').innerText = 'Logging out...';
+  const res = await sendToWorker({ type:'logoutNow', profileId: currentProfileId });
+  if (res && res.ok) ui('message').innerText = 'Logged out. Auto-login stays off until you use Test login.';
+  else if (res && res.error === 'no_logout_method') ui('message').innerText = 'No logout URL or logout steps for this profile; auto-login is off until Test login.';
+  else ui('message').innerText = 'Logout request failed (see login history); auto-login is off until Test login.';
 }
 
 async function testLogin() {
-  ui('status').innerText = 'Testing login...';
+  ui('message').innerText = 'Testing login...';
   const res = await sendToWorker({ type:'doLoginNow' });
-  ui('status').innerText = res && res.ok ? 'Test attempted — check connectivity' : 'Test attempted (check console)';
+  ui('message').innerText = res && res.ok ? 'Test login finished: internet is reachable.' : 'Test login finished without restoring connectivity (see login history).';
 }
 
 async function clearAll() {
   await new Promise(r => chrome.runtime.sendMessage({ type:'clearCache' }, r));
-  await new Promise(r => chrome.storage.local.remove(['cfg'], r));
-  ui('status').innerText = 'Cleared stored credentials.';
+  config.profiles = config.profiles.map(p => Object.assign({}, p, { username: '', password: '', fallbackAccounts: [], remember: false }));
+  await new Promise(r => chrome.storage.local.set({ cfg: configForStorage(config) }, r));
+  ui('message').innerText = 'Cleared stored credentials.';
   ui('username').value = '';
   ui('password').value = '';
   ui('remember').checked = false;
+  await renderVault();
 }
 
 // mapper on current active tab to detect field names
 async function runMapper() {
-  ui('status').innerText = 'Running mapper...';
+  if (lockedProfileFields(managedPolicy, currentProfileId).includes('pickedFields')) {
+    ui('message').innerText = 'The field locators of this profile are set by your organization.';
+    return;
+  }
+  ui('message').innerText = 'Running mapper...';
   try {
     const [tab] = await chrome.tabs.query({ active:true, currentWindow:true });
-    if (!tab) { ui('status').innerText = 'No active tab.'; return; }
+    if (!tab) { ui('message').innerText = 'No active tab.'; return; }
     const results = await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
+      target: { tabId: tab.id, allFrames: true },
       func: () => {
         try {
           const pass = document.querySelector('input[type="password"]');
@@ -60,49 +412,318 @@ async function runMapper() {
               usernameCandidate = inputs.find(i => i !== pass && (i.type === 'text' || i.type === 'email' || !i.type));
             }
           }
-          return { usernameField: usernameCandidate ? (usernameCandidate.name || usernameCandidate.id || '') : '', passwordField: pass ? (pass.name || pass.id || '') : '' };
+          const spec = el => !el ? '' : el.name ? 'name:' + el.name : el.id ? 'id:' + el.id : el.placeholder ? 'placeholder:' + el.placeholder : '';
+          return { usernameField: spec(usernameCandidate), passwordField: spec(pass) };
         } catch(e) { return null; }
       }
     });
-    const res = results && results[0] && results[0].result;
+    // the login form may sit in any frame; prefer the one with a password field
+    const found = (results || []).map(r => r && r.result).filter(Boolean);
+    const res = found.find(r => r.passwordField) || found[0];
     if (res) {
       if (res.usernameField) ui('userField').value = res.usernameField;
       if (res.passwordField) ui('passField').value = res.passwordField;
-      ui('status').innerText = `Mapper done. username="${res.usernameField}", password="${res.passwordField}"`;
+      ui('message').innerText = `Mapper done. username="${res.usernameField}", password="${res.passwordField}"`
+        + ((findProfile(config, currentProfileId) || {}).pickedFields ? ' (picked fields still take precedence)' : '');
     } else {
-      ui('status').innerText = 'Mapper failed.';
+      ui('message').innerText = 'Mapper failed.';
     }
   } catch (e) {
     console.error(e);
-    ui('status').innerText = 'Mapper error (see console).';
+    ui('message').innerText = 'Mapper error (see console).';
   }
 }
 
-// initialize popup with stored cfg if exists
-async function init() {
-  ui('status').innerText = 'Initializing...';
-  chrome.storage.local.get(['cfg'], (res) => {
-    if (res && res.cfg) {
-      const cfg = res.cfg;
-      ui('loginUrl').value = cfg.loginUrl || 'http://172.16.2.1:1000';
-      ui('userField').value = cfg.userField || 'username';
-      ui('passField').value = cfg.passField || 'password';
-      ui('username').value = cfg.username || '';
-      ui('password').value = cfg.password || '';
-      ui('remember').checked = true;
-      ui('status').innerText = 'Loaded remembered credentials.';
-      // tell worker to cache it too
-      chrome.runtime.sendMessage({ type:'setPlainConfig', cfg }, resp => {});
-    } else {
-      ui('status').innerText = 'Ready';
-    }
+// permission for the portal host (the manifest only covers the default portal)
+async function requestHostAccess(loginUrl) {
+  const pattern = profileMatchPattern({ loginUrl });
+  if (!pattern) return true;
+  try {
+    return await chrome.permissions.request({ origins: [pattern] });
+  } catch (e) {
+    console.error(e);
+    return false;
+  }
+}
+
+async function renderHostAccess(p) {
+  const pattern = profileMatchPattern(p);
+  const ok = !pattern || await chrome.permissions.contains({ origins: [pattern] });
+  ui('accessAlert').style.display = ok ? 'none' : '';
+  if (!ok) ui('accessText').innerText = `No access to ${pattern.replace('/*', '')}: auto-login and portal detection cannot work there until you grant it.`;
+}
+
+// a portal the worker found behind the probe redirect that no profile covers yet (discover.js)
+let pendingDiscovery = null;
+
+async function renderDiscovery() {
+  const res = await new Promise(r => chrome.storage.local.get(['discoveredPortals'], r));
+  const all = (res && res.discoveredPortals) || {};
+  const origin = Object.keys(all).filter(o => !all[o].dismissed && !findProfileByOrigin(config, o)).sort((a, b) => all[b].at - all[a].at)[0];
+  pendingDiscovery = origin ? Object.assign({ origin }, all[origin]) : null;
+  ui('discoveryAlert').style.display = pendingDiscovery ? '' : 'none';
+  if (pendingDiscovery) ui('discoveryText').innerText = `Found a login portal at ${pendingDiscovery.loginUrl} that none of your profiles covers.`;
+}
+
+// new unsaved profile pre-filled from the discovered portal; the user adds credentials and saves it
+async function createDiscoveredProfile() {
+  const d = pendingDiscovery;
+  if (!d) return;
+  // ask first, while the click still counts as a user gesture: detecting the fields needs the access
+  const granted = await requestHostAccess(d.loginUrl);
+  let fields = d.fields;
+  if (granted && !fields) {
+    ui('message').innerText = 'Looking for the login fields on the portal page...';
+    const res = await sendToWorker({ type:'detectPortalFields', origin: d.origin });
+    fields = res && res.fields;
+  }
+  const host = new URL(d.loginUrl).host;
+  const p = newProfile({ name: host, loginUrl: d.loginUrl });
+  if (fields) ['userField', 'passField', 'submitField'].forEach(k => { if (fields[k]) p[k] = fields[k]; });
+  config.profiles.push(p);
+  showProfile(p.id);
+  await sendToWorker({ type:'dismissDiscovery', origin: d.origin });
+  await renderDiscovery();
+  if (!granted) ui('message').innerText = `New profile for ${host}. Access to the portal was declined, so its fields could not be detected: grant access, check the fields, then enter your credentials and Save.`;
+  else if (fields && fields.passField) ui('message').innerText = `New profile for ${host} with the login fields found on its page: enter your username and password and Save.`;
+  else ui('message').innerText = `New profile for ${host}. No login form was found on its page: check the fields (or use Pick fields), then enter your credentials and Save.`;
+}
+
+async function dismissDiscovered() {
+  if (pendingDiscovery) await sendToWorker({ type:'dismissDiscovery', origin: pendingDiscovery.origin });
+  await renderDiscovery();
+}
+
+async function grantHostAccess() {
+  const p = findProfile(config, currentProfileId) || readForm({});
+  const granted = await requestHostAccess(p.loginUrl);
+  ui('message').innerText = granted ? 'Access granted.' : 'Access was not granted.';
+  renderHostAccess(p);
+}
+
+// recorded login / logout steps: profile field -> popup elements and wording
+const MACRO_UI = {
+  macro: { info: 'macroInfo', record: 'recordBtn', clear: 'clearMacroBtn', label: 'Login steps', doing: 'Log in', used: 'replayed instead of auto-fill', cleared: 'automatic field detection is used again' },
+  logoutMacro: { info: 'logoutMacroInfo', record: 'recordLogoutBtn', clear: 'clearLogoutMacroBtn', label: 'Logout steps', doing: 'Log out', used: 'replayed instead of the logout URL', cleared: 'the logout URL is used again' }
+};
+
+// recorded steps for the shown profile (and whether a recording is running)
+async function renderMacro(p) {
+  const st = await sendToWorker({ type:'macroStatus' });
+  Object.keys(MACRO_UI).forEach(target => {
+    const m = MACRO_UI[target];
+    const recordingHere = st && st.recording && st.profileId === p.id && st.target === target;
+    const steps = (p[target] || []).length;
+    ui(m.record).innerText = recordingHere ? 'Stop recording' : 'Record steps';
+    ui(m.record).disabled = !!(st && st.recording && !recordingHere);
+    ui(m.clear).disabled = !steps || recordingHere;
+    if (recordingHere) ui(m.info).innerText = `Recording… ${st.steps} step(s) so far. ${m.doing} on the portal page, then Stop.`;
+    else ui(m.info).innerText = steps ? `${m.label}: ${steps} recorded (${m.used})` : `${m.label}: none recorded`;
   });
 }
 
+async function toggleRecording(target) {
+  const st = await sendToWorker({ type:'macroStatus' });
+  if (st && st.recording) {
+    const res = await sendToWorker({ type:'macroStop' });
+    if (res && res.ok) {
+      config.profiles = config.profiles.map(p => p.id === res.profileId ? Object.assign({}, p, { [res.target]: res.steps }) : p);
+      ui('message').innerText = `Recorded ${res.steps.length} step(s).`;
+    }
+  } else {
+    // the profile must exist in the worker before steps can be saved on it
+    if (!findProfile(config, currentProfileId)) { ui('message').innerText = 'Save the profile first.'; return; }
+    const [tab] = await chrome.tabs.query({ active:true, currentWindow:true });
+    if (!tab) { ui('message').innerText = 'No active tab.'; return; }
+    const res = await sendToWorker({ type:'macroStart', profileId: currentProfileId, tabId: tab.id, target });
+    // without a username the recorder cannot tell it from other typed text, so it leaves such fields out
+    const note = findProfile(config, currentProfileId).username ? '' : ' Save (or unlock) your username first, or text typed outside the login form is not recorded.';
+    ui('message').innerText = res && res.ok
+      ? `Recording: use the portal page as you normally would to ${MACRO_UI[target].doing.toLowerCase()}, then reopen this popup and Stop.${note}`
+      : 'Could not start recording on this page.';
+  }
+  const p = findProfile(config, currentProfileId);
+  if (p) renderMacro(p);
+}
+
+async function clearMacro(target) {
+  const p = findProfile(config, currentProfileId);
+  if (!p) return;
+  config.profiles = config.profiles.map(x => x.id === p.id ? Object.assign({}, x, { [target]: [] }) : x);
+  await persistConfig();
+  renderMacro(findProfile(config, p.id));
+  ui('message').innerText = `Cleared recorded steps; ${MACRO_UI[target].cleared}.`;
+}
+
+// live connection status pushed by the worker (status.js); relative times tick locally
+const CONN_TEXT = { online: 'Online', captive: 'Captive portal: not logged in', offline: 'Offline', unknown: 'Checking…' };
+const LOGOUT_TEXT = { manual: 'until Test login', idle: 'while idle', locked: 'while locked', last_window: 'until the browser restarts' };
+let lastStatus = null;
+
+function relTime(ms) {
+  const s = Math.round(Math.abs(ms) / 1000);
+  if (s < 60) return s + 's';
+  if (s < 3600) return Math.round(s / 60) + ' min';
+  return Math.round(s / 360) / 10 + ' h';
+}
+
+function renderStatus() {
+  const st = lastStatus;
+  if (!st) return;
+  const now = Date.now();
+  ui('status').className = 'status ' + (st.paused ? 'paused' : (st.conn === 'unknown' ? '' : st.conn));
+  ui('statusText').innerText = (CONN_TEXT[st.conn] || st.conn)
+    + (st.profile ? ` · ${st.profile.name}` : '')
+    + (st.inFlight ? ' · logging in…' : '')
+    + (st.paused ? ` · auto-login ${pauseText(st.paused)}` : (st.outsideSchedule ? ' · outside its auto-login window' : ''))
+    + (st.loggedOut ? ` · logged out (${LOGOUT_TEXT[st.loggedOut.reason] || st.loggedOut.reason})` : '');
+  ui('pauseBtn').innerText = st.paused ? 'Resume' : 'Pause';
+  ui('pauseFor').style.display = st.paused ? 'none' : '';
+  const parts = [];
+  parts.push(st.lastLoginAt ? `Last login ${new Date(st.lastLoginAt).toLocaleTimeString()}` : 'No login yet this session');
+  if (st.session && st.session.expiresAt) {
+    parts.push(st.session.expiresAt > now ? `Session ends in ${relTime(st.session.expiresAt - now)}${st.session.source === 'portal' ? ' (per portal)' : ''}` : 'Session length reached');
+  }
+  if (st.backoffSeconds) parts.push(`Backoff ${st.backoffSeconds}s`);
+  if (st.nextCheckAt) parts.push(st.nextCheckAt > now ? `Next check in ${relTime(st.nextCheckAt - now)}` : 'Next check due');
+  if (st.checkedAt) parts.push(`checked ${relTime(now - st.checkedAt)} ago`);
+  if (st.account) parts.unshift(`Account ${st.account.username} (${st.account.index + 1} of ${st.account.total})`);
+  ui('statusDetails').innerText = parts.join(' · ');
+  renderAccountInfo(st);
+}
+
+const ACCOUNT_REASON_TEXT = { bad_credentials: 'rejected', quota_exhausted: 'over quota', already_logged_in: 'in use' };
+
+// which fallback account is in use and which ones are resting, for the profile shown in the form
+function renderAccountInfo(st) {
+  const a = st.account;
+  if (!a || !st.profile || st.profile.id !== currentProfileId) { ui('accountInfo').innerText = ''; return; }
+  const time = t => new Date(t).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  ui('accountInfo').innerText = `In use: ${a.username}.` + a.cooldowns.map(c => ` ${c.username} ${ACCOUNT_REASON_TEXT[c.reason] || c.reason}, resting until ${time(c.until)}.`).join('');
+}
+
+function pauseText(p) {
+  if (p.mode === 'timed') return 'paused until ' + new Date(p.until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return p.mode === 'restart' ? 'paused until the browser restarts' : 'paused until resumed';
+}
+
+// the status push updates the button once the worker has applied it
+async function togglePause() {
+  if (lastStatus && lastStatus.paused) {
+    await sendToWorker({ type:'resume' });
+    ui('message').innerText = 'Auto-login resumed.';
+    return;
+  }
+  const [mode, minutes] = ui('pauseFor').value.split(':');
+  const res = await sendToWorker({ type:'pause', mode, minutes: minutes ? parseInt(minutes, 10) : 0 });
+  ui('message').innerText = res && res.ok ? `Auto-login ${pauseText(res.pause)}. Test login still works.` : 'Could not pause.';
+}
+
+// the worker may be stopped at any time; reconnect so the panel stays live while the popup is open
+function connectStatus() {
+  const port = chrome.runtime.connect({ name: 'status' });
+  port.onMessage.addListener((st) => { lastStatus = st; renderStatus(); });
+  port.onDisconnect.addListener(() => setTimeout(connectStatus, 1000));
+}
+
+// fields picked on the page for the shown profile (and whether the picker is running)
+async function renderPicker(p) {
+  const st = await sendToWorker({ type:'pickerStatus' });
+  const pickingHere = st && st.picking && st.profileId === p.id;
+  const pf = p.pickedFields;
+  ui('pickBtn').innerText = pickingHere ? 'Cancel picking' : 'Pick fields';
+  const locked = lockedProfileFields(managedPolicy, p.id).includes('pickedFields');
+  ui('pickBtn').disabled = locked || !!(st && st.picking && !pickingHere);
+  ui('clearPickBtn').disabled = locked || !pf || pickingHere;
+  if (pickingHere) ui('pickInfo').innerText = 'Picking… click the highlighted fields on the portal page.';
+  else if (pf) ui('pickInfo').innerText = `Picked fields: username, password${pf.submit ? ', login button' : ''}` + (pf.user.path.length > 1 ? ' (inside a shadow root)' : '');
+  else ui('pickInfo').innerText = 'Picked fields: none';
+}
+
+async function togglePicker() {
+  const st = await sendToWorker({ type:'pickerStatus' });
+  if (st && st.picking) {
+    await sendToWorker({ type:'pickerCancel' });
+    ui('message').innerText = 'Picking cancelled.';
+  } else {
+    if (!findProfile(config, currentProfileId)) { ui('message').innerText = 'Save the profile first.'; return; }
+    const [tab] = await chrome.tabs.query({ active:true, currentWindow:true });
+    if (!tab) { ui('message').innerText = 'No active tab.'; return; }
+    const res = await sendToWorker({ type:'pickerStart', profileId: currentProfileId, tabId: tab.id });
+    if (res && res.ok) {
+      // the page needs the clicks; a notification confirms when the picks are saved
+      window.close();
+      return;
+    }
+    ui('message').innerText = 'Could not start the picker on this page.';
+  }
+  const p = findProfile(config, currentProfileId);
+  if (p) renderPicker(p);
+}
+
+async function clearPicked() {
+  const p = findProfile(config, currentProfileId);
+  if (!p) return;
+  config.profiles = config.profiles.map(x => x.id === p.id ? Object.assign({}, x, { pickedFields: null }) : x);
+  await persistConfig();
+  renderPicker(findProfile(config, p.id));
+  ui('message').innerText = 'Cleared picked fields; the field names and automatic detection are used again.';
+}
+
+// initialize popup from the worker (it holds unlocked credentials), falling back to stored cfg
+async function init() {
+  ui('message').innerText = 'Initializing...';
+  managedPolicy = await readPolicy();
+  const cur = await sendToWorker({ type:'getConfig' });
+  let raw = cur && cur.cfg;
+  if (!raw) raw = (await new Promise(r => chrome.storage.local.get(['cfg'], r))).cfg;
+  config = normalizeConfig(raw);
+  if (config.profiles.length) {
+    showProfile(config.defaultProfileId);
+    ui('message').innerText = `Loaded ${config.profiles.length} profile(s).`;
+  } else {
+    fillForm(newProfile({ name: 'Default' }));
+    renderProfiles();
+    ui('message').innerText = 'Ready';
+  }
+  await renderVault();
+  await renderDiscovery();
+}
+
 document.addEventListener('DOMContentLoaded', () => {
   ui('saveBtn').addEventListener('click', saveConfig);
   ui('testBtn').addEventListener('click', testLogin);
   ui('clearBtn').addEventListener('click', clearAll);
   ui('mapBtn').addEventListener('click', runMapper);
+  ui('profileSelect').addEventListener('change', (e) => showProfile(e.target.value));
+  ui('newProfileBtn').addEventListener('click', addProfile);
+  ui('deleteProfileBtn').addEventListener('click', deleteProfile);
+  ui('historyLink').addEventListener('click', (e) => { e.preventDefault(); chrome.tabs.create({ url: chrome.runtime.getURL('history.html') }); });
+  ui('diagnosticsLink').addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL('diagnostics.html' + (currentProfileId ? '?profile=' + encodeURIComponent(currentProfileId) : '')) });
+  });
+  ui('optionsLink').addEventListener('click', (e) => { e.preventDefault(); chrome.runtime.openOptionsPage(); });
+  // file pickers close the popup, so import/export lives on the options page
+  ui('importExportLink').addEventListener('click', (e) => { e.preventDefault(); chrome.tabs.create({ url: chrome.runtime.getURL('options.html#portals') }); });
+  ui('grantBtn').addEventListener('click', grantHostAccess);
+  ui('createDiscoveredBtn').addEventListener('click', createDiscoveredProfile);
+  ui('dismissDiscoveredBtn').addEventListener('click', dismissDiscovered);
+  ui('recordBtn').addEventListener('click', () => toggleRecording('macro'));
+  ui('clearMacroBtn').addEventListener('click', () => clearMacro('macro'));
+  ui('recordLogoutBtn').addEventListener('click', () => toggleRecording('logoutMacro'));
+  ui('clearLogoutMacroBtn').addEventListener('click', () => clearMacro('logoutMacro'));
+  ui('logoutBtn').addEventListener('click', logoutNow);
+  ui('pickBtn').addEventListener('click', togglePicker);
+  ui('addExtraBtn').addEventListener('click', () => addExtraRow(null));
+  ui('addAccountBtn').addEventListener('click', () => addAccountRow(null));
+  ui('accountRows').addEventListener('input', updateAccountCount);
+  ui('pauseBtn').addEventListener('click', togglePause);
+  ui('extraRows').addEventListener('input', updateExtraCount);
+  ui('clearPickBtn').addEventListener('click', clearPicked);
+  ui('unlockBtn').addEventListener('click', unlockVault);
+  ui('lockBtn').addEventListener('click', lockVault);
+  connectStatus();
+  setInterval(renderStatus, 1000);
   init();
 });
@@ -0,0 +1,70 @@
+// probes.js - multi-endpoint connectivity probing
+// loaded by service_worker.js via importScripts (uses its fetchWithTimeout/originOf/sleep helpers and `settings`;
+// every verdict is recorded through status.js).
+// Each probe answers 'online' (expected status/body), 'captive' (an answer, but redirected or rewritten:
+// a portal is intercepting) or 'offline' (no answer at all). Results are combined per settings.probes.policy.
+
+// portals that answer with 200 + a meta refresh / JS redirect instead of an HTTP redirect
+function findPortalUrlInBody(body) {
+  const m = (body || '').match(/(?:http-equiv=["']?refresh["']?[^>]*url=|location(?:\.href)?\s*=\s*["'])\s*(https?:\/\/[^"'\s>;]+)/i);
+  return m ? m[1].replace(/&amp;/g, '&') : '';
+}
+
+async function runProbe(probe, timeoutMs) {
+  try {
+    const res = await fetchWithTimeout(probe.url, null, timeoutMs);
+    const redirected = res.redirected || (res.url && originOf(res.url) !== originOf(probe.url));
+    const statusOk = probe.expectStatus ? res.status === probe.expectStatus : (res.status >= 200 && res.status < 300);
+    const body = (probe.expectBody || !statusOk || redirected) ? await res.text().catch(() => '') : '';
+    const bodyOk = !probe.expectBody || body.includes(probe.expectBody);
+    if (!redirected && statusOk && bodyOk) return { id: probe.id, state: 'online' };
+    return { id: probe.id, state: 'captive', status: res.status, portalUrl: redirected ? res.url : findPortalUrlInBody(body) };
+  } catch (e) {
+    return { id: probe.id, state: 'offline', error: String(e) };
+  }
+}
+
+function summarizeProbeResults(results, state) {
+  const withUrl = results.find(r => r.portalUrl);
+  return { state, portalUrl: withUrl ? withUrl.portalUrl : '', results };
+}
+
+// majority of the probes that answered decides between online and captive
+async function probeQuorum(probes, timeoutMs) {
+  const results = await Promise.all(probes.map(p => runProbe(p, timeoutMs)));
+  const online = results.filter(r => r.state === 'online').length;
+  const answered = results.filter(r => r.state !== 'offline').length;
+  if (!answered) return summarizeProbeResults(results, 'offline');
+  return summarizeProbeResults(results, online * 2 > answered ? 'online' : 'captive');
+}
+
+// first probe with a definitive answer (online or captive) wins; offline only when all are offline
+function probeFirst(probes, timeoutMs) {
+  return new Promise(resolve => {
+    const results = [];
+    let done = false;
+    probes.forEach(p => {
+      runProbe(p, timeoutMs).then(r => {
+        results.push(r);
+        if (done) return;
+        if (r.state !== 'offline') { done = true; resolve(summarizeProbeResults(results.slice(), r.state)); }
+        else if (results.length === probes.length) { done = true; resolve(summarizeProbeResults(results, 'offline')); }
+      });
+    });
+  });
+}
+
+// { state: 'online' | 'captive' | 'offline', portalUrl, results }
+// a small retry on 'offline' reduces transient false-negatives
+async function checkConnectivity(timeoutMs = 2000) {
+  const probes = activeProbes(settings);
+  const run = settings.probes.policy === 'quorum' ? probeQuorum : probeFirst;
+  let res = await run(probes, timeoutMs);
+  if (res.state === 'offline') {
+    await sleep(300);
+    res = await run(probes, timeoutMs);
+  }
+  log('checkConnectivity:', res.state, res.results.map(r => r.id + '=' + r.state).join(' '));
+  await noteConnectivity(res);
+  return res;
+}
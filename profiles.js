@@ -0,0 +1,244 @@
+// profiles.js - portal profile helpers shared by the popup and the worker
+// cfg shape: { profiles: [ { id, name, loginUrl, userField, passField, submitField, username, password, fallbackAccounts, extraFields, remember, loginMode, lastMode, macro, logoutUrl, logoutMacro, sessionMinutes, outcomePatterns, pickedFields, schedule, hardFailure } ], defaultProfileId }
+// extraFields: [{ name, value, mode }] sent along with the login (see normalizeExtraFields)
+// userField/passField/submitField: typed locator lists (see parseLocatorSpec); submitField '' = the form's own button
+// username/password are blank in the stored copy; remembered credentials live in the encrypted vault (vault.js)
+// fallbackAccounts: [{ username, password }] tried in order after the main account is rejected, over quota or in use
+// (see accounts.js); credentials like username/password, so also empty in the stored copy
+// loginMode: 'tab' (inject into a portal tab) or 'direct' (tabless POST, falls back to 'tab'); lastMode records which one last worked
+// macro: recorded login steps (see macros.js); when present they replace the heuristic fill
+// logoutUrl / logoutMacro: how to end the session (see logout.js); recorded logout steps win over the URL
+// sessionMinutes: how long a portal session lasts when the portal page doesn't say (0 = unknown; see session.js)
+// pickedFields: { user, pass, submit } locators from the visual field picker (see locate.js), or null;
+// they take precedence over userField/passField when filling a portal tab
+// outcomePatterns: { [outcome]: 'regex per line' } tried before the built-in ones (outcome.js)
+// schedule: { from: 'HH:MM', to: 'HH:MM' } local-time window for automatic logins (wraps past midnight), or null
+// hardFailure: { reason, excerpt, at } set by the worker when the portal rejected the login; auto-retry stops
+// older versions stored a single portal ({ loginUrl, userField, ... }) under cfg; normalizeConfig migrates it.
+
+const DEFAULT_LOGIN_URL = 'http://172.16.2.1:1000';
+const MAX_SESSION_MINUTES = 7 * 24 * 60;
+
+function makeProfileId() {
+  return 'p_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+// fill in defaults for any missing profile keys (keeps id if given)
+function newProfile(fields) {
+  return Object.assign({
+    id: makeProfileId(),
+    name: 'New profile',
+    loginUrl: DEFAULT_LOGIN_URL,
+    userField: 'name:username',
+    passField: 'name:password',
+    submitField: '',
+    username: '',
+    password: '',
+    fallbackAccounts: [],
+    extraFields: [],
+    remember: false,
+    loginMode: 'tab',
+    lastMode: '',
+    macro: [],
+    logoutUrl: '',
+    logoutMacro: [],
+    sessionMinutes: 0,
+    outcomePatterns: {},
+    pickedFields: null,
+    schedule: null,
+    hardFailure: null
+  }, fields || {});
+}
+
+// field locators, tried left to right until one matches:
+//   name:user || id:login.user[0] || css:#box input[type=text] || xpath://form//input[2] || label:User name || placeholder:Voucher
+// values are compared literally (never pasted into a selector), so ids with dots, colons or brackets work.
+// A bare value is what older versions stored: a name or id, in that order.
+const LOCATOR_TYPES = ['name', 'id', 'css', 'xpath', 'label', 'placeholder'];
+const LOCATOR_SEPARATOR = ' || ';
+
+// returns { locators: [{ type, value }], errors }
+function parseLocatorSpec(spec) {
+  const locators = [];
+  const errors = [];
+  String(spec || '').split(LOCATOR_SEPARATOR).map(s => s.trim()).filter(Boolean).forEach(part => {
+    const m = part.match(/^([a-z]+):([\s\S]*)$/);
+    if (!m || !LOCATOR_TYPES.includes(m[1])) {
+      locators.push({ type: 'name', value: part }, { type: 'id', value: part });
+      return;
+    }
+    const value = m[2].trim();
+    if (value) locators.push({ type: m[1], value });
+    else errors.push(`"${part}" has nothing after "${m[1]}:".`);
+  });
+  return { locators, errors };
+}
+
+function formatLocatorSpec(locators) {
+  return locators.map(l => l.type + ':' + l.value).join(LOCATOR_SEPARATOR);
+}
+
+// canonical typed form of a spec (bare legacy names become name:x || id:x)
+function migrateFieldSpec(spec) {
+  return formatLocatorSpec(parseLocatorSpec(spec).locators);
+}
+
+// plain field names a spec can match by (for the direct-POST parser and the macro recorder)
+function fieldNamesFromSpec(spec) {
+  return parseLocatorSpec(spec).locators.filter(l => l.type === 'name' || l.type === 'id').map(l => l.value);
+}
+
+// extra form fields; `value` may use templates:
+//   {{timestamp}} (ms), {{unixtime}} (s), {{uuid}}, {{username}}, {{input:NAME}} (value of another input on the page)
+// mode 'overwrite' sets the page's input of that name (adding a hidden one when there is none),
+// 'add' always appends a hidden input. Older versions stored a JSON object string ({ name: value }).
+const EXTRA_FIELD_MODES = ['overwrite', 'add'];
+
+function normalizeExtraFields(raw) {
+  let list = raw;
+  if (typeof raw === 'string') {
+    let obj = null;
+    try { obj = raw.trim() ? JSON.parse(raw) : null; } catch (e) { obj = null; }
+    list = obj && typeof obj === 'object' && !Array.isArray(obj)
+      ? Object.keys(obj).map(name => ({ name, value: String(obj[name]), mode: 'overwrite' }))
+      : [];
+  }
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter(f => f && typeof f.name === 'string' && f.name.trim())
+    .map(f => ({
+      name: f.name.trim(),
+      value: typeof f.value === 'string' ? f.value : String(f.value == null ? '' : f.value),
+      mode: EXTRA_FIELD_MODES.includes(f.mode) ? f.mode : 'overwrite'
+    }));
+}
+
+// RFC 4122 v4; portal pages are plain http, where crypto.randomUUID is unavailable
+function templateUuid() {
+  const b = crypto.getRandomValues(new Uint8Array(16));
+  b[6] = (b[6] & 0x0f) | 0x40;
+  b[8] = (b[8] & 0x3f) | 0x80;
+  const h = Array.from(b, x => x.toString(16).padStart(2, '0')).join('');
+  return `${h.slice(0, 8)}-${h.slice(8, 12)}-${h.slice(12, 16)}-${h.slice(16, 20)}-${h.slice(20)}`;
+}
+
+// expand an extra-field value; `readInput(name)` returns another input's value ('' when absent).
+// locate.js carries a copy of this for the page side.
+function expandFieldTemplate(value, vars, readInput) {
+  return String(value || '').replace(/\{\{\s*(\w+)(?::([^}]*))?\s*\}\}/g, (m, key, arg) => {
+    switch (key) {
+      case 'timestamp': return String(Date.now());
+      case 'unixtime': return String(Math.floor(Date.now() / 1000));
+      case 'uuid': return templateUuid();
+      case 'username': return (vars && vars.username) || '';
+      case 'input': return readInput ? readInput(String(arg || '').trim()) : '';
+      default: return m;
+    }
+  });
+}
+
+const TIME_OF_DAY_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function normalizeSchedule(raw) {
+  if (!raw || !TIME_OF_DAY_RE.test(raw.from) || !TIME_OF_DAY_RE.test(raw.to) || raw.from === raw.to) return null;
+  return { from: raw.from, to: raw.to };
+}
+
+// whether automatic logins are allowed for `p` at `date` (no schedule: always)
+function isWithinSchedule(p, date = new Date()) {
+  const s = normalizeSchedule(p && p.schedule);
+  if (!s) return true;
+  const minutes = t => parseInt(t.slice(0, 2), 10) * 60 + parseInt(t.slice(3), 10);
+  const now = date.getHours() * 60 + date.getMinutes();
+  const from = minutes(s.from);
+  const to = minutes(s.to);
+  return from < to ? (now >= from && now < to) : (now >= from || now < to);
+}
+
+function normalizeFallbackAccounts(list) {
+  if (!Array.isArray(list)) return [];
+  return list.filter(a => a && typeof a.username === 'string' && a.username.trim())
+    .map(a => ({ username: a.username.trim(), password: typeof a.password === 'string' ? a.password : '' }));
+}
+
+// every account of a profile in rotation order: the main one, then the fallbacks
+function profileAccounts(p) {
+  return (hasCredentials(p) ? [{ username: p.username, password: p.password }] : []).concat((p && p.fallbackAccounts) || []);
+}
+
+function normalizeConfig(raw) {
+  if (raw && Array.isArray(raw.profiles)) {
+    const profiles = raw.profiles.map(p => newProfile(p)).map(p => Object.assign(p, {
+      userField: migrateFieldSpec(p.userField),
+      passField: migrateFieldSpec(p.passField),
+      submitField: migrateFieldSpec(p.submitField),
+      extraFields: normalizeExtraFields(p.extraFields),
+      fallbackAccounts: normalizeFallbackAccounts(p.fallbackAccounts),
+      schedule: normalizeSchedule(p.schedule)
+    }));
+    let defaultProfileId = raw.defaultProfileId;
+    if (!profiles.some(p => p.id === defaultProfileId)) defaultProfileId = profiles.length ? profiles[0].id : null;
+    return { profiles, defaultProfileId };
+  }
+  if (raw && raw.loginUrl) {
+    // legacy single-portal cfg: it was only ever stored when "Remember me" was checked
+    const p = newProfile(Object.assign({}, raw, { name: 'Default', remember: true }));
+    p.userField = migrateFieldSpec(p.userField);
+    p.passField = migrateFieldSpec(p.passField);
+    p.extraFields = normalizeExtraFields(p.extraFields);
+    return { profiles: [p], defaultProfileId: p.id };
+  }
+  return { profiles: [], defaultProfileId: null };
+}
+
+function profileOrigin(p) {
+  try { return new URL(p.loginUrl).origin; } catch (e) { return (p && p.loginUrl) || ''; }
+}
+
+// host permission / content-script match pattern for a profile's portal (any port)
+function profileMatchPattern(p) {
+  try {
+    const u = new URL(p.loginUrl);
+    return /^https?:$/.test(u.protocol) ? `${u.protocol}//${u.hostname}/*` : '';
+  } catch (e) {
+    return '';
+  }
+}
+
+function findProfile(cfg, id) {
+  return (cfg && cfg.profiles || []).find(p => p.id === id) || null;
+}
+
+function findProfileByOrigin(cfg, origin) {
+  if (!origin) return null;
+  return (cfg && cfg.profiles || []).find(p => profileOrigin(p) === origin) || null;
+}
+
+function getDefaultProfile(cfg) {
+  const profiles = (cfg && cfg.profiles) || [];
+  return findProfile(cfg, cfg && cfg.defaultProfileId) || profiles[0] || null;
+}
+
+function hasCredentials(p) {
+  return !!(p && (p.username || p.password));
+}
+
+// copy for chrome.storage.local: never holds credentials ("Remember me" ones go to the encrypted vault)
+function configForStorage(cfg) {
+  const n = normalizeConfig(cfg);
+  return {
+    profiles: n.profiles.map(p => Object.assign({}, p, { username: '', password: '', fallbackAccounts: [] })),
+    defaultProfileId: n.defaultProfileId
+  };
+}
+
+// keep credentials known only to `prev` (e.g. worker memory) when `next` came from storage without them
+function mergeCredentials(next, prev) {
+  const n = normalizeConfig(next);
+  n.profiles = n.profiles.map(p => {
+    const old = findProfile(prev, p.id);
+    if (hasCredentials(p) || !hasCredentials(old)) return p;
+    return Object.assign({}, p, { username: old.username, password: old.password, fallbackAccounts: old.fallbackAccounts || [] });
+  });
+  return n;
+}
@@ -0,0 +1,102 @@
+// recorder.js — records the user's clicks/inputs on a portal page as macro steps
+// Injected into every frame of the recorded tab by the worker (macros.js), again after each page load.
+// Steps go to the worker right away so they survive navigations; credentials are never sent, only
+// the {{username}} / {{password}} placeholders.
+(function(){
+  if (window.__wifiAutologinRecorder) return;
+  window.__wifiAutologinRecorder = true;
+
+  let opts = null;           // { active, username, userNames, passNames } from the worker
+  let lastSubmitClickAt = 0;
+
+  function cssEscape(s) {
+    return (window.CSS && CSS.escape) ? CSS.escape(s) : String(s).replace(/[^a-zA-Z0-9_-]/g, c => '\\' + c);
+  }
+
+  // short, stable selector: id, then name, then a tag:nth-of-type path from the nearest id
+  function selectorFor(el) {
+    if (el.id && document.querySelectorAll('#' + cssEscape(el.id)).length === 1) return '#' + cssEscape(el.id);
+    const tag = el.tagName.toLowerCase();
+    if (el.name) {
+      const sel = `${tag}[name="${String(el.name).replace(/["\\]/g, '\\$&')}"]`;
+      if (document.querySelectorAll(sel).length === 1) return sel;
+    }
+    const parts = [];
+    let node = el;
+    while (node && node.nodeType === 1 && node !== document.documentElement) {
+      if (node !== el && node.id) { parts.unshift('#' + cssEscape(node.id)); break; }
+      const t = node.tagName.toLowerCase();
+      const sibs = node.parentElement ? Array.from(node.parentElement.children).filter(c => c.tagName === node.tagName) : [];
+      parts.unshift(sibs.length > 1 ? `${t}:nth-of-type(${sibs.indexOf(node) + 1})` : t);
+      node = node.parentElement;
+    }
+    return parts.join(' > ');
+  }
+
+  function send(step) {
+    if (!opts || !opts.active) return;
+    step.frameUrl = location.href;
+    try { chrome.runtime.sendMessage({ type: 'macroStep', step }, () => {}); } catch (e) {}
+  }
+
+  function isTextLike(el) {
+    if (el.tagName === 'TEXTAREA') return true;
+    if (el.tagName !== 'INPUT') return false;
+    return !['checkbox', 'radio', 'submit', 'button', 'image', 'reset', 'file', 'hidden'].includes((el.type || '').toLowerCase());
+  }
+
+  // a text field next to a password field, or one the page marks as the username, takes the username
+  function isCredentialField(el) {
+    const form = el.form || el.closest('form');
+    if (form && form.querySelector('input[type="password"]')) return true;
+    return (el.getAttribute('autocomplete') || '').toLowerCase() === 'username';
+  }
+
+  // the value a fill step stores: a placeholder for credentials, the typed text for anything else, or null
+  // when it cannot be told whether the text is the username (the profile has none yet, or the vault is locked)
+  function fillValueFor(el) {
+    const type = (el.type || '').toLowerCase();
+    const named = names => (names || []).some(n => n === el.name || n === el.id);
+    if (type === 'password' || named(opts.passNames)) return '{{password}}';
+    if (named(opts.userNames) || isCredentialField(el) || (opts.username && el.value === opts.username)) return '{{username}}';
+    return opts.username ? el.value : null;
+  }
+
+  document.addEventListener('change', (e) => {
+    const el = e.target;
+    if (!el || !el.tagName) return;
+    if (el.tagName === 'SELECT') {
+      send({ action: 'select', selector: selectorFor(el), value: el.value });
+    } else if (el.tagName === 'INPUT' && (el.type === 'checkbox' || el.type === 'radio')) {
+      send({ action: 'check', selector: selectorFor(el), checked: el.checked });
+    } else if (isTextLike(el)) {
+      const value = fillValueFor(el);
+      // better a missing step than a username stored in the clear
+      if (value === null) return;
+      send({ action: 'fill', selector: selectorFor(el), value });
+    }
+  }, true);
+
+  document.addEventListener('click', (e) => {
+    const t = e.target;
+    if (!t || !t.closest) return;
+    if (isTextLike(t) || ['SELECT', 'OPTION', 'TEXTAREA'].includes(t.tagName)) return;
+    if (t.tagName === 'INPUT' && (t.type === 'checkbox' || t.type === 'radio')) return; // recorded on change
+    const el = t.closest('button, a, [role="button"], input[type="submit"], input[type="button"], input[type="image"]') || t;
+    if (el.matches('button:not([type]), button[type="submit"], input[type="submit"], input[type="image"]')) lastSubmitClickAt = Date.now();
+    send({ action: 'click', selector: selectorFor(el) });
+  }, true);
+
+  // Enter-key submits; a submit right after clicking a submit button is already covered by the click
+  document.addEventListener('submit', (e) => {
+    if (Date.now() - lastSubmitClickAt < 1000) return;
+    const form = e.target;
+    if (form && form.tagName === 'FORM') send({ action: 'submit', selector: selectorFor(form) });
+  }, true);
+
+  try {
+    chrome.runtime.sendMessage({ type: 'macroRecorderHello' }, (resp) => { opts = resp || null; });
+  } catch (e) {
+    // no-op
+  }
+})();
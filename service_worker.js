@@ -1,60 +1,147 @@
 // service_worker.js - full file (ready to replace)
 // WiFi AutoLogin - MV3 service worker
-// - authoritative generate_204 probe
+// - configurable multi-endpoint connectivity probes (online / captive / offline)
 // - keepalive detection to avoid backoff escalation while a keepalive page exists
 // - friendly backoff policy
 // - createdTab tracking to only close tabs we created
-// - minimal noisy logging unless DEBUG=true
+// - minimal noisy logging unless the "debug" setting is on
+// - timings, backoff ladder and notifications tunable from the options page, applied live
+// - named portal profiles; the profile matching the intercepting portal is used
+// - optional tabless direct-POST login with fallback to tab injection
+// - active keepalive: the portal's keepalive URL is refreshed by alarm, no tab needed
+// - remembered credentials encrypted with a PIN; unlocked credentials only in memory/storage.session
+// - retry/tab state persisted in storage.session; long backoff waits are alarms, not sleeps
+// - structured attempt journal (journal.js), viewable in history.html
+// - recorded multi-step login macros replayed instead of the heuristic fill (macros.js)
+// - portal answer classified after submit; rejected credentials/quota stop auto-retry for the profile
+// - portals on any host: runtime host permissions + dynamically registered watcher.js (hostaccess.js)
+// - live connection status pushed to the popup over a 'status' port (status.js)
+// - pause/snooze from the popup, toolbar context menu or keyboard; per-profile time windows (pause.js)
+// - visual field picker across frames and shadow roots; picked locators win over field names (fieldpicker.js)
+// - logout by URL or recorded steps, on request or when idle/locked/last window closed (logout.js)
+// - session expiry from the portal page or the profile; warning and re-login before the cut-off (session.js)
+// - ordered fallback accounts per profile; rejected/over-quota/in-use accounts cool down (accounts.js)
+// - notifications with Retry / Open portal / Unlock / Pause buttons; one updatable failure notice per origin (notify.js)
+// - immediate checks on portal redirects and wake from idle; checkConn is the fallback (netevents.js)
+// - admin policy from chrome.storage.managed laid over profiles and settings; locked fields stay fixed (policy.js)
+// - portals no profile knows are traced from the probe redirect and offered as a pre-filled profile (discover.js)
+// - diagnostics dry run: probes, redirect chain, frames, form snapshots and locators in one redacted report (diagnose.js)
 
 'use strict';
 
-const DEBUG = false; // set true while testing
+importScripts('profiles.js', 'settings.js', 'directlogin.js', 'keepalive.js', 'vault.js', 'state.js', 'journal.js', 'probes.js', 'macros.js', 'outcome.js', 'hostaccess.js', 'status.js', 'fieldpicker.js', 'pause.js', 'logout.js', 'session.js', 'netevents.js', 'notify.js', 'accounts.js', 'diagnose.js', 'policy.js', 'discover.js');
+
 const DEFAULT_UNLOCK_MINUTES = 60;
+const LEGACY_CREDS_KEY = 'legacyCreds';
 
 let cachedConfig = null;
 let clearTimerId = null;
-let backoffSeconds = 0;
-
-// probe/tab state
-let probeTabId = null;
-let lastProbeTime = 0;
-const PROBE_COOLDOWN_MS = 15 * 1000; // 15s cooldown (tune to 30s/60s for less probe activity)
-const PROBE_URL = 'http://neverssl.com/';
-
-// tuning
-const MAX_FIELD_CHECK_TRIES = 3;
-const FIELD_CHECK_INTERVAL_MS = 1200;
-const RELOAD_ON_FIRST_FAIL = true;
-const NOTIFY_SUCCESS_COOLDOWN_MS = 3 * 60 * 1000; // throttle success notifications per origin
-
-// state trackers
-const failedAttemptsByOrigin = {};
-const lastSuccessNotifiedAt = {};
-const createdTabIds = new Set();
-const inFlightOrigins = new Set();
-
-function log(...args){ if (DEBUG) console.log('[worker]', ...args); }
+let settings = normalizeSettings(null);
+
+// vault state while unlocked (see vault.js)
+let vaultKey = null;
+let vaultSalt = null;
+let unlockMinutes = DEFAULT_UNLOCK_MINUTES;
+let unlockExpiresAt = 0;
+
+// probe cooldown/URL, field-check tuning, notification throttling and the backoff ladder are user
+// settings (settings.js); probe tab id/time live in `state` (state.js)
+const MAX_INLINE_WAIT_MS = 20 * 1000; // longer backoff waits are left to the retry alarm
+
+function log(...args){ if (settings.debug) console.log('[worker]', ...args); }
 function warn(...args){ console.warn('[worker]', ...args); }
-function info(...args){ if (DEBUG) console.log('[worker]', ...args); }
+function info(...args){ if (settings.debug) console.log('[worker]', ...args); }
 
-// load persisted cfg at startup (if persisted via popup "Remember me")
-try {
-  if (chrome && chrome.storage && chrome.storage.local) {
-    chrome.storage.local.get(['cfg'], (res) => {
-      try {
-        if (res && res.cfg) {
-          cachedConfig = res.cfg;
-          info('Loaded persisted cfg at startup:', { loginUrl: cachedConfig.loginUrl, userField: cachedConfig.userField });
-        } else {
-          log('No persisted cfg at startup.');
-        }
-      } catch (e) {
-        warn('Error reading persisted cfg', e);
-      }
-    });
+// administrator policy (policy.js); empty unless the browser is managed
+let managedPolicy = normalizePolicy(null);
+async function loadPolicy() {
+  managedPolicy = await readPolicy();
+  if (hasPolicy(managedPolicy)) info('Managed policy:', { profiles: managedPolicy.profiles.map(p => p.id), settings: policySettingPaths(managedPolicy) });
+}
+const policyReady = loadPolicy();
+
+// load persisted profiles at startup, plus any credentials still unlocked in this browser session
+async function restoreConfig() {
+  try {
+    const res = await chrome.storage.local.get(['cfg', 'vault', LEGACY_CREDS_KEY]);
+    if (res && res.cfg) {
+      // popup may already have sent in-memory credentials before storage answered
+      cachedConfig = mergeCredentials(res.cfg, cachedConfig);
+      info('Loaded persisted cfg at startup:', { profiles: cachedConfig.profiles.map(p => p.loginUrl) });
+    } else {
+      log('No persisted cfg at startup.');
+    }
+    await policyReady;
+    cachedConfig = applyPolicyProfiles(cachedConfig, managedPolicy);
+    if (res && res.vault && res.vault.unlockMinutes) unlockMinutes = res.vault.unlockMinutes;
+    if (res && !res.vault) {
+      // plaintext credentials from an older version: keep them until a PIN is chosen
+      if (res[LEGACY_CREDS_KEY]) applyCredentials(res[LEGACY_CREDS_KEY]);
+      else await keepLegacyCreds();
+    }
+
+    const sess = await chrome.storage.session.get(['sessionCreds', 'vaultUnlock']);
+    if (sess && sess.sessionCreds) applyCredentials(sess.sessionCreds);
+    const u = sess && sess.vaultUnlock;
+    if (u && u.expiresAt > Date.now()) {
+      vaultKey = await importVaultKey(u.key);
+      vaultSalt = b64ToBytes(u.salt);
+      armUnlockTimer(u.expiresAt);
+      log('Vault still unlocked until', new Date(u.expiresAt).toISOString());
+    } else if (u) {
+      await lockVault();
+    }
+    await syncPortalAccess(cachedConfig);
+  } catch (e) {
+    warn('Error reading persisted cfg', e);
   }
-} catch (e) {
-  warn('chrome.storage not available at startup', e);
+}
+const configReady = restoreConfig();
+
+// settings from the options page; applied live whenever they change
+async function loadSettings() {
+  try {
+    const res = await chrome.storage.local.get(['settings']);
+    await policyReady;
+    settings = normalizeSettings(mergePolicySettings(res && res.settings, managedPolicy));
+  } catch (e) {
+    warn('loadSettings failed', e);
+  }
+  applyIdleSettings();
+  await ensureCheckAlarm();
+}
+const settingsReady = loadSettings();
+
+// (re)create the periodic check only when its period differs, so waking the worker doesn't reset it
+async function ensureCheckAlarm() {
+  try {
+    const existing = await chrome.alarms.get('checkConn');
+    if (existing && existing.periodInMinutes === settings.checkPeriodMin) return;
+    await chrome.alarms.create('checkConn', { periodInMinutes: settings.checkPeriodMin });
+    log('checkConn alarm every', settings.checkPeriodMin, 'min');
+  } catch (e) {
+    warn('ensureCheckAlarm failed', e);
+  }
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.settings) {
+    settings = normalizeSettings(mergePolicySettings(changes.settings.newValue, managedPolicy));
+    log('Settings updated:', settings);
+    applyIdleSettings();
+    ensureCheckAlarm();
+  }
+  if (area === 'managed') reloadPolicy();
+});
+
+// the administrator changed the policy: lay it over settings and profiles again
+async function reloadPolicy() {
+  await configReady;
+  await loadPolicy();
+  await loadSettings();
+  cachedConfig = applyPolicyProfiles(cachedConfig, managedPolicy);
+  await syncPortalAccess(cachedConfig);
+  broadcastStatus();
 }
 
 // Helpers
@@ -75,14 +162,14 @@ function mergeAbortSignals(sigA, sigB) {
   return ac.signal;
 }
 
-// fetch with timeout helper
-async function fetchWithTimeout(url, externalSignal = null, timeoutMs = 2000) {
+// fetch with timeout helper (`init` overrides the default GET options, e.g. for form POSTs)
+async function fetchWithTimeout(url, externalSignal = null, timeoutMs = 2000, init = {}) {
   const ac = new AbortController();
   const signal = ac.signal;
   const combined = externalSignal ? mergeAbortSignals(externalSignal, signal) : signal;
   const timer = setTimeout(() => ac.abort(), timeoutMs);
   try {
-    const res = await fetch(url, { method: 'GET', cache: 'no-store', redirect: 'follow', signal: combined });
+    const res = await fetch(url, Object.assign({ method: 'GET', cache: 'no-store', redirect: 'follow' }, init, { signal: combined }));
     clearTimeout(timer);
     return res;
   } finally {
@@ -90,24 +177,28 @@ async function fetchWithTimeout(url, externalSignal = null, timeoutMs = 2000) {
   }
 }
 
-// Authoritative connectivity check using generate_204 (avoid captive-portal false positives).
-// Small retry to reduce transient false-negatives.
+// Connectivity check through the configured probes (probes.js); captive and offline both count as down.
 async function isInternetUp(timeoutMs = 2000) {
+  await settingsReady;
+  return (await checkConnectivity(timeoutMs)).state === 'online';
+}
+
+// with no probe answering we may simply be off-network; only bother if the portal itself answers
+async function isPortalReachable(cfg, timeoutMs = 2000) {
   try {
-    const res = await fetchWithTimeout('http://clients3.google.com/generate_204', null, timeoutMs);
-    if (res && res.status === 204) return true;
-  } catch (e) {
-    // ignore, retry below
-  }
-  try {
-    await sleep(300);
-    const r2 = await fetchWithTimeout('http://clients3.google.com/generate_204', null, timeoutMs);
-    return !!(r2 && r2.status === 204);
+    await fetchWithTimeout(cfg.loginUrl, null, timeoutMs);
+    return true;
   } catch (e) {
     return false;
   }
 }
 
+async function isAnyPortalReachable(cfg) {
+  const profiles = ((cfg && cfg.profiles) || []).filter(p => p.loginUrl);
+  const results = await Promise.all(profiles.map(p => isPortalReachable(p)));
+  return results.includes(true);
+}
+
 // wait until a tab reaches 'complete' or timeout
 async function waitForTabLoaded(tabId, timeoutMs = 10000) {
   const start = Date.now();
@@ -124,44 +215,307 @@ async function waitForTabLoaded(tabId, timeoutMs = 10000) {
   return false;
 }
 
-// cache config in worker memory (set by popup)
-function cacheConfig(cfg) {
-  cachedConfig = cfg || null;
+// { [profileId]: { username, password, fallbackAccounts } } for profiles passing `filter`
+function credentialMap(cfg, filter = () => true) {
+  const out = {};
+  ((cfg && cfg.profiles) || []).forEach(p => {
+    if (hasCredentials(p) && filter(p)) out[p.id] = { username: p.username, password: p.password, fallbackAccounts: p.fallbackAccounts || [] };
+  });
+  return out;
+}
+
+// fill credentials into profiles that have none in memory
+function applyCredentials(map) {
+  if (!cachedConfig || !map) return;
+  cachedConfig.profiles = cachedConfig.profiles.map(p => (!hasCredentials(p) && map[p.id]) ? Object.assign({}, p, map[p.id]) : p);
+}
+
+// mirror what we hold in memory into chrome.storage.session so a restarted worker keeps it
+async function persistSessionCreds() {
+  try {
+    const vaultUnlock = vaultKey
+      ? { key: await exportVaultKey(vaultKey), salt: bytesToB64(vaultSalt), expiresAt: unlockExpiresAt }
+      : null;
+    await chrome.storage.session.set({ sessionCreds: credentialMap(cachedConfig, p => !p.remember || !!vaultKey), vaultUnlock });
+  } catch (e) {
+    warn('persistSessionCreds failed', e);
+  }
+}
+
+function armUnlockTimer(expiresAt) {
+  unlockExpiresAt = expiresAt;
+  if (clearTimerId) { clearTimeout(clearTimerId); clearTimerId = null; }
+  clearTimerId = setTimeout(() => { lockVault(); }, Math.max(0, expiresAt - Date.now()));
+}
+
+// unlock (or create, when none exists yet) the vault with `pin`; returns { ok, error? }
+async function unlockVault(pin, minutes) {
+  if (!pin) return { ok: false, error: 'pin_required' };
+  const { vault } = await chrome.storage.local.get(['vault']);
+  let salt, key, creds = {};
+  if (vault) {
+    salt = b64ToBytes(vault.salt);
+    key = await deriveVaultKey(pin, salt);
+    try { creds = await openVault(key, vault); }
+    catch (e) { return { ok: false, error: 'bad_pin' }; }
+  } else {
+    salt = newVaultSalt();
+    key = await deriveVaultKey(pin, salt);
+  }
+  vaultKey = key;
+  vaultSalt = salt;
+  unlockMinutes = minutes || (vault && vault.unlockMinutes) || DEFAULT_UNLOCK_MINUTES;
+  applyCredentials(creds);
+  armUnlockTimer(Date.now() + unlockMinutes * 60 * 1000);
+  await saveVault();
+  await persistSessionCreds();
+  log('Vault unlocked for', unlockMinutes, 'min');
+  return { ok: true, expiresAt: unlockExpiresAt };
+}
+
+// forget the key and the credentials of remembered profiles; session-only credentials stay
+async function lockVault() {
+  vaultKey = null;
+  vaultSalt = null;
+  unlockExpiresAt = 0;
   if (clearTimerId) { clearTimeout(clearTimerId); clearTimerId = null; }
-  info('Cached config set:', { loginUrl: cfg && cfg.loginUrl, userField: cfg && cfg.userField });
+  if (cachedConfig) {
+    cachedConfig.profiles = cachedConfig.profiles.map(p => p.remember ? Object.assign({}, p, { username: '', password: '', fallbackAccounts: [] }) : p);
+  }
+  await persistSessionCreds();
+  log('Vault locked.');
+}
+
+// remembered credentials of older versions were stored in plaintext in cfg. Until the user chooses a PIN they
+// stay in plaintext under `legacyCreds` (cfg itself is always written without credentials); the first vault
+// takes them over. Returns whether any were kept.
+async function keepLegacyCreds() {
+  const creds = credentialMap(cachedConfig, p => p.remember);
+  if (!Object.keys(creds).length) {
+    await chrome.storage.local.remove([LEGACY_CREDS_KEY]);
+    return false;
+  }
+  const had = (await chrome.storage.local.get([LEGACY_CREDS_KEY]))[LEGACY_CREDS_KEY];
+  await chrome.storage.local.set({ [LEGACY_CREDS_KEY]: creds });
+  if (!had) {
+    await notify('set-pin', 'Choose a PIN in the popup to encrypt your remembered credentials. Until then they stay stored unencrypted, as in earlier versions.', { buttons: ['credentials'], click: 'credentials' });
+  }
+  return true;
 }
 
-// alarms: periodic check
-chrome.alarms.create('checkConn', { periodInMinutes: 1 });
+// re-encrypt remembered credentials; also drops plaintext credentials left in cfg by older versions
+async function saveVault() {
+  if (!vaultKey) return false;
+  const record = await sealVault(vaultKey, vaultSalt, credentialMap(cachedConfig, p => p.remember), unlockMinutes);
+  await chrome.storage.local.set({ vault: record });
+  await chrome.storage.local.remove([LEGACY_CREDS_KEY]);
+  await clearNotification('set-pin');
+  const res = await chrome.storage.local.get(['cfg']);
+  if (res && res.cfg && normalizeConfig(res.cfg).profiles.some(hasCredentials)) {
+    await chrome.storage.local.set({ cfg: configForStorage(res.cfg) });
+  }
+  return true;
+}
+
+async function vaultStatus() {
+  const { vault } = await chrome.storage.local.get(['vault']);
+  return { exists: !!vault, unlocked: !!vaultKey, expiresAt: unlockExpiresAt, unlockMinutes };
+}
+
+// cache config in worker memory (set by popup); remembered credentials go to the vault when it is unlocked
+async function cacheConfig(cfg) {
+  const prev = cachedConfig;
+  // policy-locked fields win over whatever the popup sent
+  cachedConfig = applyPolicyProfiles(cfg ? mergeCredentials(cfg, cachedConfig) : null, managedPolicy);
+  info('Cached config set:', { profiles: cachedConfig ? cachedConfig.profiles.map(p => p.loginUrl) : [] });
+  await settingsReady;
+  await releaseUnusedHostAccess(prev, cachedConfig);
+  await syncPortalAccess(cachedConfig);
+  const needsVault = cachedConfig && cachedConfig.profiles.some(p => p.remember && hasCredentials(p));
+  const sealed = needsVault ? await saveVault() : false;
+  await persistSessionCreds();
+  if (needsVault && !sealed && !(await vaultStatus()).exists && await keepLegacyCreds()) return 'vault_missing';
+  return needsVault && !sealed ? 'vault_locked' : '';
+}
+
+// the popup is where the PIN is entered; fall back to a tab when it cannot be opened programmatically
+async function openUnlockPrompt() {
+  try { await chrome.action.openPopup(); }
+  catch (e) { chrome.tabs.create({ url: chrome.runtime.getURL('popup.html') }); }
+}
+
+// update one profile in memory and in storage (storage copy never gains credentials here)
+async function patchProfile(id, patch) {
+  const locked = lockedProfileFields(managedPolicy, id);
+  if (locked.length) patch = Object.fromEntries(Object.entries(patch).filter(([k]) => !locked.includes(k)));
+  if (cachedConfig) {
+    cachedConfig.profiles = cachedConfig.profiles.map(p => p.id === id ? Object.assign({}, p, patch) : p);
+  }
+  try {
+    const res = await chrome.storage.local.get(['cfg']);
+    if (!res || !res.cfg) return;
+    const stored = normalizeConfig(res.cfg);
+    stored.profiles = stored.profiles.map(p => p.id === id ? Object.assign({}, p, patch) : p);
+    await chrome.storage.local.set({ cfg: stored });
+  } catch (e) {
+    warn('patchProfile failed', e);
+  }
+}
+
+// fetch the probe URL without a tab: on a captive network we get redirected (or pointed via meta refresh/JS) to the portal
+async function probeInterception(timeoutMs = 3000) {
+  try {
+    const res = await fetchWithTimeout(settings.probeUrl, null, timeoutMs);
+    if (!res) return { origin: '', body: '' };
+    const finalOrigin = originOf(res.url || '');
+    if (finalOrigin && finalOrigin !== originOf(settings.probeUrl)) return { origin: finalOrigin, body: '' };
+    const body = await res.text().catch(() => '');
+    return { origin: '', body };
+  } catch (e) {
+    log('probeInterception failed', e);
+    return { origin: '', body: '' };
+  }
+}
+
+// choose the profile for the portal currently intercepting traffic, falling back to the default profile
+// `portalUrl` is where a connectivity probe got redirected to, if anywhere
+async function selectProfile(cfg, portalUrl = '') {
+  const profiles = (cfg && cfg.profiles) || [];
+  if (profiles.length <= 1) return profiles[0] || null;
+
+  const hinted = findProfileByOrigin(cfg, originOf(portalUrl));
+  if (hinted) return hinted;
+
+  const { origin, body } = await probeInterception();
+  let match = findProfileByOrigin(cfg, origin);
+  if (!match && body) match = profiles.find(p => body.includes(profileOrigin(p)));
+  if (!match) {
+    try {
+      const tabs = await chrome.tabs.query({});
+      for (const t of tabs) {
+        match = findProfileByOrigin(cfg, originOf(t.url || ''));
+        if (match) break;
+      }
+    } catch (e) { /* ignore */ }
+  }
+  if (match) log('selectProfile: matched', match.name, 'via intercepting origin');
+  return match || getDefaultProfile(cfg);
+}
+
+// alarms: periodic check (created by ensureCheckAlarm once settings are loaded)
 chrome.alarms.onAlarm.addListener(async alarm => {
-  if (alarm.name === 'checkConn') {
-    log('Alarm fired: checkConn');
+  if (alarm.name === 'checkConn' || alarm.name === RETRY_ALARM) {
+    log('Alarm fired:', alarm.name);
     await checkAndLogin(false);
+  } else if (alarm.name === PAUSE_END_ALARM) {
+    await pauseReady;
+    await resumeAutoLogin();
+  } else if (alarm.name.startsWith(SESSION_WARN_ALARM_PREFIX) || alarm.name.startsWith(SESSION_RELOGIN_ALARM_PREFIX)) {
+    await handleSessionAlarm(alarm.name);
+  } else if (alarm.name.startsWith(KEEPALIVE_ALARM_PREFIX)) {
+    // staying logged out is the point of pausing
+    await pauseReady;
+    await loggedOutReady;
+    if (isPaused() || loggedOut) return;
+    const profileId = alarm.name.slice(KEEPALIVE_ALARM_PREFIX.length);
+    if (cachedConfig && !findProfile(cachedConfig, profileId)) {
+      await stopKeepalive(profileId);
+      return;
+    }
+    const ok = await runKeepalive(profileId);
+    // session dropped: log in again right away instead of waiting for checkConn
+    if (!ok) await checkAndLogin(false, findProfile(cachedConfig, profileId));
   }
 });
 
+// forget tabs we created once they are closed (by us or the user)
+chrome.tabs.onRemoved.addListener((tabId) => {
+  stateReady.then(() => { if (isCreatedTab(tabId)) untrackCreatedTab(tabId); });
+});
+
 // message handling from popup and content scripts
 chrome.runtime.onMessage.addListener((msg, sender, respond) => {
   (async () => {
     try {
       log('Received message:', msg && msg.type);
+      await configReady;
       if (msg.type === 'setPlainConfig') {
-        cacheConfig(msg.cfg);
+        const error = await cacheConfig(msg.cfg);
+        respond(error ? { ok: false, error } : { ok: true });
+      } else if (msg.type === 'getConfig') {
+        respond({ ok: true, cfg: cachedConfig });
+      } else if (msg.type === 'vaultStatus') {
+        respond(Object.assign({ ok: true }, await vaultStatus()));
+      } else if (msg.type === 'unlockVault') {
+        respond(await unlockVault(msg.pin, msg.unlockMinutes));
+      } else if (msg.type === 'lockVault') {
+        await lockVault();
+        respond({ ok: true });
+      } else if (msg.type === 'macroStart') {
+        respond(await startMacroRecording(msg.profileId, msg.tabId, msg.target));
+      } else if (msg.type === 'macroStop') {
+        respond(await stopMacroRecording());
+      } else if (msg.type === 'macroStatus') {
+        const rec = await getRecording();
+        respond({ ok: true, recording: !!rec, profileId: rec && rec.profileId, target: rec && (rec.target || 'macro'), steps: rec ? rec.steps.length : 0 });
+      } else if (msg.type === 'macroStep') {
+        respond({ ok: await appendMacroStep(msg.step, sender.tab && sender.tab.id) });
+      } else if (msg.type === 'macroRecorderHello') {
+        respond(await recorderOptions(sender.tab && sender.tab.id));
+      } else if (msg.type === 'pickerStart') {
+        respond(await startFieldPicker(msg.profileId, msg.tabId));
+      } else if (msg.type === 'pickerCancel') {
+        respond(await cancelFieldPicker());
+      } else if (msg.type === 'pickerStatus') {
+        const pick = await getPicker();
+        respond({ ok: true, picking: !!pick, profileId: pick && pick.profileId, role: pick && nextPickRole(pick) });
+      } else if (msg.type === 'pickerPick') {
+        respond(await recordPick(msg.role, msg.locator, sender.tab && sender.tab.id));
+      } else if (msg.type === 'pickerSkip') {
+        respond(await recordPick('submit', null, sender.tab && sender.tab.id));
+      } else if (msg.type === 'pickerHello') {
+        respond({ ok: true, role: await pickerRole(sender.tab && sender.tab.id) });
+      } else if (msg.type === 'pause') {
+        await pauseReady;
+        respond(await pauseAutoLogin(msg.mode, msg.minutes));
+      } else if (msg.type === 'resume') {
+        await pauseReady;
+        respond(await resumeAutoLogin());
+      } else if (msg.type === 'logoutNow') {
+        const p = findProfile(cachedConfig, msg.profileId) || loggedInProfile();
+        respond(p ? await logoutProfile(p, 'manual') : { ok: false, error: 'unknown_profile' });
+      } else if (msg.type === 'detectPortalFields') {
+        respond({ ok: true, fields: await detectDiscoveredFields(msg.origin) });
+      } else if (msg.type === 'dismissDiscovery') {
+        await dismissDiscovery(msg.origin);
         respond({ ok: true });
+      } else if (msg.type === 'runDiagnostics') {
+        respond({ ok: true, report: await runDiagnostics(msg.profileId) });
       } else if (msg.type === 'doLoginNow') {
-        const ok = await checkAndLogin(true);
+        const ok = await checkAndLogin(true, null, true);
         respond({ ok });
       } else if (msg.type === 'clearCache') {
-        cachedConfig = null;
-        if (clearTimerId) { clearTimeout(clearTimerId); clearTimerId = null; }
-        try { chrome.storage.local.remove(['cfg']); } catch (e) { /* ignore */ }
+        // forget credentials (and the vault holding them) but keep the profiles themselves
+        await lockVault();
+        if (cachedConfig) {
+          cachedConfig.profiles = cachedConfig.profiles.map(p => Object.assign({}, p, { username: '', password: '', fallbackAccounts: [], remember: false }));
+        }
+        try { await chrome.storage.local.remove(['vault', LEGACY_CREDS_KEY]); } catch (e) { /* ignore */ }
+        await persistSessionCreds();
         respond({ ok: true });
       } else if (msg.type === 'page_is_portal') {
         log('page_is_portal message, origin=', msg.origin);
+        await stateReady;
+        // our own tabs (login attempts, diagnostics, discovery, logout steps) are already being handled
+        if (sender.tab && isCreatedTab(sender.tab.id)) {
+          respond({ ok: false, error: 'own_tab' });
+          return;
+        }
         try {
-          if (cachedConfig && originOf(cachedConfig.loginUrl) === msg.origin) {
-            log('portal origin matches cached config; running immediate login.');
-            const result = await checkAndLogin(true);
+          const profile = findProfileByOrigin(cachedConfig, msg.origin);
+          if (profile) {
+            log('portal origin matches profile', profile.name, '; running immediate login.');
+            const result = await checkAndLogin(true, profile);
             respond({ ok: result });
           } else {
             respond({ ok: false, error: 'no_cached_match' });
@@ -180,13 +534,37 @@ chrome.runtime.onMessage.addListener((msg, sender, respond) => {
   return true;
 });
 
-// detect presence of username & password fields across frames
-async function detectFieldsInTab(tabId) {
+// page-side locator helpers (locate.js) for the executeScript functions below
+async function injectLocateHelper(tabId) {
+  try {
+    await chrome.scripting.executeScript({ target: { tabId, allFrames: true }, files: ['locate.js'] });
+  } catch (e) {
+    log('injectLocateHelper failed', e);
+  }
+}
+
+// detect presence of username & password fields across frames (picked fields and typed locators count
+// when they resolve; `locators` in each frame's result tells which typed locators matched)
+async function detectFieldsInTab(tabId, cfg = null) {
+  const picked = (cfg && cfg.pickedFields) || null;
+  const typed = cfg ? { user: parseLocatorSpec(cfg.userField).locators, pass: parseLocatorSpec(cfg.passField).locators } : null;
   try {
+    await injectLocateHelper(tabId);
     const results = await chrome.scripting.executeScript({
       target: { tabId, allFrames: true },
-      func: () => {
+      func: (picked, typed) => {
         try {
+          const L = window.__wifiAutologinLocate;
+          if (picked && picked.user && picked.pass && L && L.resolve(picked.user) && L.resolve(picked.pass)) {
+            return { docUrl: location.href, found: true, picked: true, inputs: [] };
+          }
+          let locators;
+          if (typed && L) {
+            const u = L.resolveTyped(typed.user, true);
+            const p = L.resolveTyped(typed.pass, true);
+            locators = { user: u.tried, pass: p.tried };
+            if (u.el && p.el) return { docUrl: location.href, found: true, locators, inputs: [] };
+          }
           const inputs = Array.from(document.querySelectorAll('input'));
           const inputInfo = inputs.slice(0, 40).map(i => ({ name: i.name || '', id: i.id || '', type: i.type || '', placeholder: i.placeholder || '' }));
           const hasPass = inputs.some(i => (i.type || '').toLowerCase() === 'password');
@@ -194,11 +572,12 @@ async function detectFieldsInTab(tabId) {
             const meta = ((i.name || '') + ' ' + (i.id || '') + ' ' + (i.placeholder || '')).toLowerCase();
             return /user|login|email|username|id/.test(meta) || (i.type === 'text' || i.type === 'email');
           });
-          return { docUrl: location.href, found: (hasPass && hasUser), inputs: inputInfo };
+          return { docUrl: location.href, found: (hasPass && hasUser), locators, inputs: inputInfo };
         } catch (e) {
           return { docUrl: (location && location.href) || '(unknown)', found: false, error: String(e) };
         }
-      }
+      },
+      args: [picked, typed]
     });
 
     const frames = (results || []).map(r => r && r.result ? r.result : { docUrl: '(unknown)', found: false });
@@ -263,25 +642,26 @@ async function openPortalTabAndSubmit(cfg) {
   } else {
     // create/reuse probe
     const now = Date.now();
-    if (probeTabId) {
+    if (state.probeTabId) {
       try {
-        const t = await chrome.tabs.get(probeTabId);
-        if (!t || (t && t.url && t.url.startsWith('chrome://'))) probeTabId = null;
-      } catch (e) { probeTabId = null; }
+        const t = await chrome.tabs.get(state.probeTabId);
+        if (!t || (t && t.url && t.url.startsWith('chrome://'))) state.probeTabId = null;
+      } catch (e) { state.probeTabId = null; }
     }
 
-    if (!probeTabId && (now - lastProbeTime) >= PROBE_COOLDOWN_MS) {
+    if (!state.probeTabId && (now - state.lastProbeTime) >= settings.probeCooldownSec * 1000) {
       try {
-        const created = await chrome.tabs.create({ url: PROBE_URL, active: false });
-        probeTabId = created.id;
-        createdTabIds.add(probeTabId);
-        lastProbeTime = Date.now();
-        createdTabId = probeTabId;
-        log('Created probe tab id=', probeTabId, 'url=', PROBE_URL);
-        await waitForTabLoaded(probeTabId, 15000);
+        const created = await chrome.tabs.create({ url: settings.probeUrl, active: false });
+        state.probeTabId = created.id;
+        state.lastProbeTime = Date.now();
+        await trackCreatedTab(state.probeTabId);
+        createdTabId = state.probeTabId;
+        log('Created probe tab id=', state.probeTabId, 'url=', settings.probeUrl);
+        await waitForTabLoaded(state.probeTabId, 15000);
       } catch (e) {
         warn('probe tab create failed', e);
-        probeTabId = null;
+        state.probeTabId = null;
+        await saveState();
       }
     } else {
       log('Probe in cooldown or already exists.');
@@ -297,7 +677,7 @@ async function openPortalTabAndSubmit(cfg) {
     } catch (e) { warn('tabs.query after probe failed', e); }
 
     // navigate probe tab to origin if needed (but recheck connectivity first)
-    if (!portalTab && probeTabId) {
+    if (!portalTab && state.probeTabId) {
       try {
         try {
           if (await isInternetUp()) {
@@ -307,9 +687,9 @@ async function openPortalTabAndSubmit(cfg) {
         } catch (e) { /* ignore */ }
 
         log('Navigating probe tab to portal origin in background:', origin);
-        await chrome.tabs.update(probeTabId, { url: origin, active: false });
-        await waitForTabLoaded(probeTabId, 15000);
-        try { portalTab = await chrome.tabs.get(probeTabId); } catch (e) {}
+        await chrome.tabs.update(state.probeTabId, { url: origin, active: false });
+        await waitForTabLoaded(state.probeTabId, 15000);
+        try { portalTab = await chrome.tabs.get(state.probeTabId); } catch (e) {}
         if (portalTab && (new URL(portalTab.url).origin === origin)) {
           log('Probe tab navigated to portal origin and is now portalTab id=', portalTab.id);
         }
@@ -324,7 +704,7 @@ async function openPortalTabAndSubmit(cfg) {
         const created = await chrome.tabs.create({ url: origin, active: false });
         portalTab = created;
         createdTabId = created.id;
-        createdTabIds.add(createdTabId);
+        await trackCreatedTab(createdTabId);
         log('Created background portal tab id=', createdTabId, 'url=', origin);
         await waitForTabLoaded(createdTabId, 15000);
       } catch (e) {
@@ -339,24 +719,34 @@ async function openPortalTabAndSubmit(cfg) {
     return { ok: false, error: 'no_portal_tab' };
   }
 
+  // a recorded macro replaces field detection and the heuristic fill
+  if (Array.isArray(cfg.macro) && cfg.macro.length) {
+    const macroRes = await runMacro(cfg, portalTab.id);
+    journal('inject', origin, macroRes.ok ? 'ok' : 'fail', { mode: 'macro', steps: cfg.macro.length, error: macroRes.error || '' });
+    return Object.assign(macroRes, { usedTabId: createdTabId, tabId: portalTab.id });
+  }
+
   // pre-check for fields and retry
   let checkAttempt = 0;
-  let detectResult = await detectFieldsInTab(portalTab.id);
-  while (checkAttempt < MAX_FIELD_CHECK_TRIES && !detectResult.found) {
-    log(`No fields found on attempt ${checkAttempt+1}/${MAX_FIELD_CHECK_TRIES} for tab ${portalTab.id}.`);
-    if (RELOAD_ON_FIRST_FAIL && checkAttempt === 0) {
+  let detectResult = await detectFieldsInTab(portalTab.id, cfg);
+  while (checkAttempt < settings.maxFieldCheckTries && !detectResult.found) {
+    log(`No fields found on attempt ${checkAttempt+1}/${settings.maxFieldCheckTries} for tab ${portalTab.id}.`);
+    if (settings.reloadOnFirstFail && checkAttempt === 0) {
       try {
         log('Reloading portal tab to let portal JS run (first fail retry).');
         await chrome.tabs.reload(portalTab.id);
         await waitForTabLoaded(portalTab.id, 7000);
       } catch (e) { warn('reload attempt failed', e); }
     } else {
-      await sleep(FIELD_CHECK_INTERVAL_MS);
+      await sleep(settings.fieldCheckIntervalMs);
     }
-    detectResult = await detectFieldsInTab(portalTab.id);
+    detectResult = await detectFieldsInTab(portalTab.id, cfg);
     checkAttempt++;
   }
 
+  // once the picked fields resolve somewhere, no other frame falls back to guessing
+  const usePicked = detectResult.frames.some(f => f && f.picked);
+  journal('fields', origin, detectResult.found ? 'ok' : 'fail', { tries: checkAttempt + 1, picked: usePicked, frames: summarizeFrames(detectResult.frames) });
   if (!detectResult.found) {
     warn('fields not found after retries. frames:', detectResult.frames);
     return { ok: false, error: 'fields_not_found_in_all_frames', frames: detectResult.frames };
@@ -364,38 +754,51 @@ async function openPortalTabAndSubmit(cfg) {
 
   // injection across frames
   try {
+    await injectLocateHelper(portalTab.id);
     const results = await chrome.scripting.executeScript({
       target: { tabId: portalTab.id, allFrames: true },
       func: (cfg) => {
         function tryFindAndSubmitInDocument(doc, cfg) {
           try {
-            if (cfg.userField || cfg.passField) {
-              let user = null, pass = null;
-              if (cfg.userField) user = doc.querySelector(`[name="${cfg.userField}"], #${cfg.userField}`);
-              if (cfg.passField) pass = doc.querySelector(`[name="${cfg.passField}"], #${cfg.passField}`);
+            // fields picked in the popup's picker come first (they may sit inside shadow roots)
+            const picked = cfg.pickedFields;
+            const L = window.__wifiAutologinLocate;
+            const diag = {};
+            if (picked && picked.user && picked.pass && L) {
+              const user = L.resolve(picked.user);
+              const pass = L.resolve(picked.pass);
+              if (user && pass) {
+                L.setValue(user, cfg.username || '');
+                L.setValue(pass, cfg.password || '');
+                const form = user.form || pass.form;
+                if (form) L.applyExtraFields(form, cfg.extraFields, cfg);
+                const submitBtn = L.resolve(picked.submit);
+                if (submitBtn) { submitBtn.click(); return { ok: true, picked: true }; }
+                if (form) {
+                  try { if (form.requestSubmit) form.requestSubmit(); else form.submit(); return { ok: true, picked: true }; } catch (e) {}
+                }
+                return { ok: false, error: 'picked_fields_without_form' };
+              }
+            }
+            if (cfg.pickedOnly) return { ok: false, error: 'picked_fields_in_other_frame' };
+            // typed locators from userField/passField/submitField, tried in order (see parseLocatorSpec)
+            if (L && (cfg.userLocators.length || cfg.passLocators.length)) {
+              const u = L.resolveTyped(cfg.userLocators, true);
+              const p = L.resolveTyped(cfg.passLocators, true);
+              diag.user = u.tried;
+              diag.pass = p.tried;
+              const user = u.el, pass = p.el;
               if (user || pass) {
-                if (user) user.value = cfg.username || '';
-                if (pass) pass.value = cfg.password || '';
+                if (user) L.setValue(user, cfg.username || '');
+                if (pass) L.setValue(pass, cfg.password || '');
                 const form = (user && user.form) || (pass && pass.form) || doc.forms[0];
                 if (form) {
-                  if (cfg.extraFields) {
-                    try {
-                      const extras = JSON.parse(cfg.extraFields || '{}');
-                      Object.keys(extras).forEach(k => {
-                        let el = form.querySelector(`[name="${k}"]`);
-                        if (!el) {
-                          el = doc.createElement('input');
-                          el.type = 'hidden';
-                          el.name = k;
-                          form.appendChild(el);
-                        }
-                        el.value = extras[k];
-                      });
-                    } catch (e) {}
-                  }
-                  const submitBtn = form.querySelector('button[type="submit"], input[type="submit"]');
-                  if (submitBtn) { submitBtn.click(); return { ok: true }; }
-                  try { form.submit(); return { ok: true }; } catch (e) {}
+                  L.applyExtraFields(form, cfg.extraFields, cfg);
+                  const s = L.resolveTyped(cfg.submitLocators, true);
+                  diag.submit = s.tried;
+                  const submitBtn = s.el || form.querySelector('button[type="submit"], input[type="submit"]');
+                  if (submitBtn) { submitBtn.click(); return { ok: true, locators: diag }; }
+                  try { form.submit(); return { ok: true, locators: diag }; } catch (e) {}
                 }
               }
             }
@@ -411,27 +814,15 @@ async function openPortalTabAndSubmit(cfg) {
               passCandidate.value = cfg.password || '';
               const form = userCandidate.form || passCandidate.form || doc.forms[0];
               if (form) {
-                if (cfg.extraFields) {
-                  try {
-                    const extras = JSON.parse(cfg.extraFields || '{}');
-                    Object.keys(extras).forEach(k => {
-                      let el = form.querySelector(`[name="${k}"]`);
-                      if (!el) {
-                        el = doc.createElement('input');
-                        el.type = 'hidden';
-                        el.name = k;
-                        form.appendChild(el);
-                      }
-                      el.value = extras[k];
-                    });
-                  } catch (e) {}
-                }
+                // locate.js did not make it into this frame: the extra fields cannot be set, so the history says so
+                const extrasSkipped = !L && !!(cfg.extraFields && cfg.extraFields.length);
+                if (L) L.applyExtraFields(form, cfg.extraFields, cfg);
                 const submitBtn = form.querySelector('button[type="submit"], input[type="submit"]');
-                if (submitBtn) { submitBtn.click(); return { ok: true }; }
-                try { form.submit(); return { ok: true }; } catch (e) {}
+                if (submitBtn) { submitBtn.click(); return { ok: true, extrasSkipped }; }
+                try { form.submit(); return { ok: true, extrasSkipped }; } catch (e) {}
               }
             }
-            return { ok: false, error: 'fields_not_found', inputs: inputs.map(i => ({ name: i.name || '', id: i.id || '', type: i.type || '', placeholder: i.placeholder || '' })) };
+            return { ok: false, error: 'fields_not_found', locators: diag, inputs: inputs.map(i => ({ name: i.name || '', id: i.id || '', type: i.type || '', placeholder: i.placeholder || '' })) };
           } catch (e) {
             return { ok: false, error: 'doc_error:' + String(e) };
           }
@@ -443,7 +834,13 @@ async function openPortalTabAndSubmit(cfg) {
           return { perFrame: { ok: false, error: String(e) }, docUrl: document.location.href };
         }
       },
-      args: [cfg]
+      args: [Object.assign({}, cfg, {
+        pickedFields: usePicked ? cfg.pickedFields : null,
+        pickedOnly: usePicked,
+        userLocators: parseLocatorSpec(cfg.userField).locators,
+        passLocators: parseLocatorSpec(cfg.passField).locators,
+        submitLocators: parseLocatorSpec(cfg.submitField).locators
+      })]
     });
 
     const frameResults = results.map(r => r && r.result ? r.result : null);
@@ -453,64 +850,168 @@ async function openPortalTabAndSubmit(cfg) {
       if (r && r.perFrame && r.perFrame.ok) { successFrameIndex = i; break; }
     }
 
+    const framesDebug = frameResults.map((fr, idx) => ({ idx, docUrl: fr && fr.docUrl ? fr.docUrl : '(unknown)', info: fr && fr.perFrame ? fr.perFrame : fr }));
+    journal('inject', origin, successFrameIndex !== -1 ? 'ok' : 'fail', {
+      mode: 'tab',
+      frames: framesDebug.map(f => Object.assign(
+        { docUrl: f.docUrl, ok: !!(f.info && f.info.ok), error: (f.info && f.info.error) || '', locators: summarizeLocators(f.info && f.info.locators) },
+        f.info && f.info.extrasSkipped ? { extrasSkipped: true } : {}
+      ))
+    });
+
     if (successFrameIndex !== -1) {
       log('Injection succeeded in frame index', successFrameIndex, 'docUrl=', frameResults[successFrameIndex].docUrl);
-      return { ok: true, frameIndex: successFrameIndex, docUrl: frameResults[successFrameIndex].docUrl, usedTabId: createdTabId };
+      if (frameResults[successFrameIndex].perFrame.extrasSkipped) warn('Submitted without the extra fields: the locate helper could not be injected into that frame');
+      return { ok: true, frameIndex: successFrameIndex, docUrl: frameResults[successFrameIndex].docUrl, usedTabId: createdTabId, tabId: portalTab.id };
     }
 
-    const framesDebug = frameResults.map((fr, idx) => ({ idx, docUrl: fr && fr.docUrl ? fr.docUrl : '(unknown)', info: fr && fr.perFrame ? fr.perFrame : fr }));
     warn('No frame reported success after injection. Frame results:', framesDebug);
     return { ok: false, error: 'fields_not_found_in_all_frames', frames: framesDebug, usedTabId: createdTabId };
 
   } catch (e) {
     warn('scripting_inject_failed', e);
+    journal('inject', origin, 'fail', { mode: 'tab', error: 'scripting_inject_failed:' + String(e) });
     return { ok: false, error: 'scripting_inject_failed:' + e.toString(), usedTabId: createdTabId };
   }
 }
 
+// submit credentials using the profile's login mode; direct mode falls back to tab injection
+// (profiles with a recorded macro always replay it in a tab)
+async function submitLogin(cfg) {
+  const hasMacro = Array.isArray(cfg.macro) && cfg.macro.length > 0;
+  if (cfg.loginMode === 'direct' && !hasMacro) {
+    const direct = await directPostLogin(cfg);
+    journal('inject', originOf(cfg.loginUrl || ''), direct.ok ? 'ok' : 'fail', { mode: 'direct', docUrl: direct.docUrl || direct.pageUrl || '', error: direct.error || '' });
+    if (direct.ok) return Object.assign(direct, { mode: 'direct' });
+    log('direct login failed, falling back to tab injection:', direct.error);
+  }
+  const res = await openPortalTabAndSubmit(cfg);
+  return Object.assign(res || { ok: false }, { mode: 'tab' });
+}
+
+// hard failure (rejected credentials, quota): stop retrying this profile until the user updates it
+async function stopForHardFailure(cfg, verdict) {
+  await patchProfile(cfg.id, { hardFailure: { reason: verdict.outcome, excerpt: verdict.excerpt, at: Date.now() } });
+  await setBackoff(0);
+  await clearNotification(failureNotificationId(originOf(cfg.loginUrl || '')));
+  await notify('hard-fail:' + cfg.id, `${cfg.name}: the portal reported ${OUTCOME_LABELS[verdict.outcome]}. Auto-login for this profile is stopped until you update it in the popup.`, {
+    buttons: ['credentials', 'openPortal'], click: 'credentials', profileId: cfg.id
+  });
+}
+
 // main check & login logic with keepalive handling
-async function checkAndLogin(force) {
+// `profileHint` skips profile selection (e.g. when a portal page told us its origin);
+// `manual` (Test login) also retries a profile stopped by a hard failure, and ignores pause, schedule and logout
+async function checkAndLogin(force, profileHint = null, manual = false) {
   try {
+    await configReady;
+    await stateReady;
+    await settingsReady;
+    await pauseReady;
+    await loggedOutReady;
     log('checkAndLogin called. force=', force, 'cachedConfigPresent=', !!cachedConfig);
 
+    if (isPaused() && !manual) {
+      log('Auto-login', pauseLabel(pauseState), '; skipping check.');
+      return false;
+    }
+    if (loggedOut && !manual) {
+      log('Logged out (' + loggedOut.reason + '); not logging back in.');
+      return false;
+    }
+    // an explicit login ends the logged-out state
+    if (loggedOut) await setLoggedOut(null);
+
     // Quick check: if not forcing and internet is up, nothing to do
-    if (!force && await isInternetUp()) {
+    const conn = force ? null : await checkConnectivity();
+    if (conn && conn.state === 'online') {
       log('Internet already up; nothing to do.');
       return true;
     }
 
-    if (!cachedConfig) {
-      chrome.notifications.create({ type: 'basic', iconUrl: 'icon.png', title: 'WiFi AutoLogin', message: 'Auto-login locked: open popup and Save credentials to enable auto-login.' });
-      log('No cachedConfig -> locked. Exiting check.');
+    // redirected to a portal no profile covers (or there are no profiles yet): offer one for it first.
+    // An unknown portal often makes the probes fail outright, so an offline verdict with none of the
+    // profiles' portals answering is traced as well.
+    let discovered = null;
+    if (conn && conn.state === 'captive' && !profileHint && !findProfileByOrigin(cachedConfig, originOf(conn.portalUrl))
+      && (conn.portalUrl || !(cachedConfig && cachedConfig.profiles.length))) {
+      discovered = await discoverPortal(conn.portalUrl);
+    } else if (conn && conn.state === 'offline' && !profileHint && !(await isAnyPortalReachable(cachedConfig))) {
+      discovered = await discoverPortal();
+    }
+
+    // replaced below by a copy holding the credentials of the account in use, for profiles with fallback accounts
+    let cfg = profileHint || await selectProfile(cachedConfig, conn ? conn.portalUrl : '');
+    if (cfg && cfg.remember && !hasCredentials(cfg) && !vaultKey && (await vaultStatus()).exists) {
+      if (settings.notifyLocked) await notify('vault-locked', 'Auto-login locked: the unlock window expired. Enter your PIN to unlock.', { buttons: ['unlock', 'pause'], click: 'unlock', profileId: cfg.id });
+      log('Vault locked -> prompting for PIN. Exiting check.');
+      return false;
+    }
+    if (!cfg || !hasCredentials(cfg)) {
+      // the discovery offer already points to the popup
+      if (settings.notifyLocked && !discovered) await notify('no-credentials', 'Auto-login locked: open the popup and Save credentials to enable auto-login.', { buttons: ['credentials', 'pause'], click: 'credentials', profileId: cfg && cfg.id });
+      log('No profile with credentials -> locked. Exiting check.');
       return false;
     }
 
-    const cfg = cachedConfig;
-    if (!cfg || !cfg.loginUrl) {
+    if (!cfg.loginUrl) {
       warn('No loginUrl in cfg');
       return false;
     }
 
+    if (cfg.hardFailure && !manual) {
+      log('Profile', cfg.name, 'stopped after', cfg.hardFailure.reason, '; not retrying.');
+      return false;
+    }
+
+    if (!manual && !isWithinSchedule(cfg)) {
+      log('Outside the auto-login window of', cfg.name, cfg.schedule, '; not logging in.');
+      return false;
+    }
+
+    let account = null;
+    if (hasFallbackAccounts(cfg)) {
+      account = await pickAccount(cfg, manual);
+      if (account.index < 0) {
+        log('Every account of', cfg.name, 'is cooling down until', new Date(account.until).toLocaleTimeString());
+        return false;
+      }
+      cfg = account.cfg;
+    }
+
     const originKey = originOf(cfg.loginUrl || '');
 
+    // nothing answered and nothing redirected: probably not on the portal's network at all
+    if (conn && conn.state === 'offline' && !(await isPortalReachable(cfg))) {
+      log('Offline and portal unreachable; not attempting login.');
+      journal('probe', originKey, 'info', { state: 'offline', portalReachable: false });
+      return false;
+    }
+
     // dedupe: don't run overlapping attempts for same origin
-    if (inFlightOrigins.has(originKey) && !force) {
+    if (isInFlight(originKey) && !force) {
       log('Another attempt already in flight for', originKey, '; skipping.');
       return false;
     }
-    inFlightOrigins.add(originKey);
+    state.activeProfileId = cfg.id;
+    await markInFlight(originKey);
+    if (conn) journal('probe', originKey, 'fail', { state: conn.state, portalUrl: conn.portalUrl, probes: conn.results.map(r => r.id + ':' + r.state) });
+    journal('portal_detected', originKey, 'info', { profile: cfg.name, via: profileHint ? 'portal_page' : 'selection', force: !!force });
 
     try {
-      // If we have backoff active, wait before attempting
-      if (backoffSeconds > 0) {
-        log('Backoff active; waiting', backoffSeconds, 's');
-        await sleep(backoffSeconds * 1000);
+      // If we have backoff active, wait before attempting (long waits: the retry alarm brings us back)
+      const waitMs = state.nextAttemptAt - Date.now();
+      if (waitMs > MAX_INLINE_WAIT_MS && !force) {
+        log('Backoff active; next attempt scheduled in', Math.round(waitMs / 1000), 's');
+        return false;
+      } else if (waitMs > 0) {
+        log('Backoff active; waiting', Math.round(waitMs / 1000), 's');
+        await sleep(Math.min(waitMs, MAX_INLINE_WAIT_MS));
       }
 
       // re-check connectivity again before heavy work
       if (!force && await isInternetUp()) {
         log('Internet recovered during wait; nothing to do.');
-        inFlightOrigins.delete(originKey);
         return true;
       }
 
@@ -524,8 +1025,8 @@ async function checkAndLogin(force) {
           const keep = await isKeepaliveTab(maybeTab);
           if (keep) {
             log('Keepalive tab detected; do not escalate backoff. Will poll with short retry.');
-            backoffSeconds = 5; // short steady retry
-            inFlightOrigins.delete(originKey);
+            await setBackoff(settings.backoff.steadySec); // short steady retry
+            journal('backoff', originKey, 'info', { seconds: settings.backoff.steadySec, reason: 'keepalive_tab' });
             return false;
           }
         }
@@ -533,23 +1034,35 @@ async function checkAndLogin(force) {
         log('Keepalive detect error (continuing):', e);
       }
 
-      log('Attempting in-page submit for origin:', originKey);
-      const submitRes = await openPortalTabAndSubmit(cfg);
+      log('Attempting submit for origin:', originKey, 'mode=', cfg.loginMode || 'tab');
+      const submitRes = await submitLogin(cfg);
       log('submitRes after injection:', submitRes);
 
       if (submitRes && submitRes.ok) {
         // small delay to let portal register authentication
         await sleep(2000);
-        if (await isInternetUp()) {
-          backoffSeconds = 0;
-          failedAttemptsByOrigin[originKey] = 0;
+        const upAfterSubmit = await isInternetUp();
+        journal('connectivity', originKey, upAfterSubmit ? 'ok' : 'fail', { after: 'submit', mode: submitRes.mode });
+        const verdict = await classifyOutcome(cfg, submitRes);
+        journal('outcome', originKey, HARD_FAILURES.includes(verdict.outcome) ? 'fail' : 'info', verdict);
+        if (upAfterSubmit) {
+          state.failedAttemptsByOrigin[originKey] = 0;
+          state.lastLoginAt = Date.now();
+          await setBackoff(0);
+          if (cfg.hardFailure) await patchProfile(cfg.id, { hardFailure: null });
+          if (cfg.lastMode !== submitRes.mode) await patchProfile(cfg.id, { lastMode: submitRes.mode });
+          if (account) await noteAccountSuccess(account.profile, account.index);
+          await captureKeepalive(cfg, submitRes);
+          await startSession(cfg, verdict.remainingSec);
+          await clearNotification(failureNotificationId(originKey));
 
           // throttle success notifications
           const now = Date.now();
-          const last = lastSuccessNotifiedAt[originKey] || 0;
-          if (now - last > NOTIFY_SUCCESS_COOLDOWN_MS) {
+          const last = state.lastSuccessNotifiedAt[originKey] || 0;
+          if (settings.notifySuccess && now - last > settings.notifySuccessCooldownMin * 60 * 1000) {
             chrome.notifications.create({ type: 'basic', iconUrl: 'icon.png', title: 'WiFi AutoLogin', message: 'Auto-login succeeded — internet is reachable.' });
-            lastSuccessNotifiedAt[originKey] = now;
+            state.lastSuccessNotifiedAt[originKey] = now;
+            await saveState();
           } else {
             log('Suppressing repeated success notification (cooldown).');
           }
@@ -557,11 +1070,10 @@ async function checkAndLogin(force) {
           // close tab we created during this attempt (only if we created it)
           try {
             const tid = submitRes.usedTabId;
-            if (tid && createdTabIds.has(tid)) {
+            if (tid && isCreatedTab(tid)) {
               log('Closing created probe/portal tab id=', tid);
               await chrome.tabs.remove(tid).catch(() => {});
-              createdTabIds.delete(tid);
-              if (probeTabId && probeTabId === tid) probeTabId = null;
+              await untrackCreatedTab(tid);
             } else {
               log('No createdTabId to close (portal tab reused or not created by extension).');
             }
@@ -569,49 +1081,74 @@ async function checkAndLogin(force) {
             warn('error closing created tab', e);
           }
 
-          inFlightOrigins.delete(originKey);
           return true;
+        } else if (account && ACCOUNT_ROTATE_OUTCOMES.includes(verdict.outcome)) {
+          warn('Portal turned down account', account.index + 1, 'of', cfg.name + ':', verdict.outcome, verdict.excerpt);
+          await rotateAccount(account.profile, account.index, verdict);
+          return false;
+        } else if (HARD_FAILURES.includes(verdict.outcome)) {
+          warn('Portal rejected the login:', verdict.outcome, verdict.excerpt);
+          await stopForHardFailure(cfg, verdict);
+          return false;
         } else {
           // friendly backoff when injection succeeded but connectivity still not restored
-          backoffSeconds = backoffSeconds ? Math.min(backoffSeconds * 2, 16) : 2;
-          warn('Injection succeeded but connectivity not restored; backoff now', backoffSeconds);
-          inFlightOrigins.delete(originKey);
+          const b = settings.backoff;
+          await setBackoff(state.backoffSeconds ? Math.min(state.backoffSeconds * 2, b.capSec) : b.initialSec);
+          warn('Injection succeeded but connectivity not restored; backoff now', state.backoffSeconds);
+          journal('backoff', originKey, 'info', { seconds: state.backoffSeconds, reason: 'not_restored_after_submit' });
+          await notifyFailure(cfg, originKey, 'submitted, but the internet is still unreachable');
           return false;
         }
+      } else if (submitRes && submitRes.error === 'already_up') {
+        // the internet answered before anything was filled in: nothing failed, and the session on record stands
+        log('Internet up before submitting; nothing to do.');
+        state.failedAttemptsByOrigin[originKey] = 0;
+        await setBackoff(0);
+        return true;
       } else {
         // injection failed: increment attempts and choose friendly backoff
-        failedAttemptsByOrigin[originKey] = (failedAttemptsByOrigin[originKey] || 0) + 1;
-        const attempts = failedAttemptsByOrigin[originKey];
+        state.failedAttemptsByOrigin[originKey] = (state.failedAttemptsByOrigin[originKey] || 0) + 1;
+        const attempts = state.failedAttemptsByOrigin[originKey];
 
         // friendly policy:
-        if (!backoffSeconds) backoffSeconds = 2;
-        else if (backoffSeconds < 16) backoffSeconds = Math.min(backoffSeconds * 2, 16);
+        const b = settings.backoff;
+        const prev = state.backoffSeconds;
+        let next;
+        if (!prev) next = b.initialSec;
+        else if (prev < b.capSec) next = Math.min(prev * 2, b.capSec);
         else {
-          if (attempts >= 6) backoffSeconds = 5; // many failures -> steady short retries
-          else backoffSeconds = Math.min(backoffSeconds * 2, 60);
+          if (attempts >= b.steadyAfterAttempts) next = b.steadySec; // many failures -> steady short retries
+          else next = Math.min(prev * 2, b.maxSec);
         }
+        await setBackoff(next);
 
-        warn('Injection result error', submitRes, 'attempt', attempts, 'backoffSeconds', backoffSeconds);
+        warn('Injection result error', submitRes, 'attempt', attempts, 'backoffSeconds', state.backoffSeconds);
+        journal('backoff', originKey, 'info', { seconds: state.backoffSeconds, attempts, reason: (submitRes && submitRes.error) || 'submit_failed' });
 
         // double-check connectivity: if up, treat as success
         const up = await isInternetUp();
+        journal('connectivity', originKey, up ? 'ok' : 'fail', { after: 'failed_submit' });
         if (up) {
-          failedAttemptsByOrigin[originKey] = 0;
+          state.failedAttemptsByOrigin[originKey] = 0;
+          state.lastLoginAt = Date.now();
+          await startSession(cfg, 0);
+          await clearNotification(failureNotificationId(originKey));
+          if (account) await noteAccountSuccess(account.profile, account.index);
           const now = Date.now();
-          const last = lastSuccessNotifiedAt[originKey] || 0;
-          if (now - last > NOTIFY_SUCCESS_COOLDOWN_MS) {
+          const last = state.lastSuccessNotifiedAt[originKey] || 0;
+          if (settings.notifySuccess && now - last > settings.notifySuccessCooldownMin * 60 * 1000) {
             chrome.notifications.create({ type: 'basic', iconUrl: 'icon.png', title: 'WiFi AutoLogin', message: 'Auto-login succeeded — internet is reachable.' });
-            lastSuccessNotifiedAt[originKey] = now;
+            state.lastSuccessNotifiedAt[originKey] = now;
           }
-          inFlightOrigins.delete(originKey);
+          await saveState();
           return true;
         }
 
-        inFlightOrigins.delete(originKey);
+        await notifyFailure(cfg, originKey, String((submitRes && submitRes.error) || 'login form not submitted').replace(/_/g, ' '));
         return false;
       }
     } finally {
-      inFlightOrigins.delete(originKey);
+      await clearInFlight(originKey);
     }
   } catch (err) {
     warn('checkAndLogin error', err);
@@ -0,0 +1,146 @@
+// session.js - track how long the portal session lasts, warn before it ends and log in again ahead of the cut-off
+// loaded by service_worker.js via importScripts (uses its log/originOf helpers, cachedConfig, settings,
+// checkAndLogin and the pause/logout modules).
+// The length comes from a remaining-time hint on the post-login page ("Time remaining 07:59:42",
+// "session expires in 8 hours", "Authentication Refresh in 28800 seconds") or, failing that, profile.sessionMinutes.
+// State lives in chrome.storage.local `sessions`: { [profileId]: { loginAt, expiresAt, source } }
+// (expiresAt 0: length unknown). Two one-shot alarms per profile: a warning and the proactive re-login. The
+// re-login needs a way to end the session first (logout steps or URL): while it lasts the portal does not
+// take a new login, so profiles without one are only warned.
+
+const SESSION_WARN_ALARM_PREFIX = 'sessionWarn:';
+const SESSION_RELOGIN_ALARM_PREFIX = 'sessionRelogin:';
+
+// a duration right after a "remaining"-style phrase, or right before "left"/"remaining"
+const REMAINING_BEFORE_RE = /(?:time remaining|remaining(?: time)?|time left|expires? in|ends? in|valid for|refresh in|session (?:time|length|timeout))[^0-9\n]{0,30}(\d[\d:a-z ,]{0,40})/i;
+const REMAINING_AFTER_RE = /(\d[\d:a-z ,]{0,40}?)\s*\b(?:left|remaining)\b/i;
+const DURATION_UNITS = [[/^(d|days?)$/, 86400], [/^(h|hrs?|hours?)$/, 3600], [/^(m|mins?|minutes?)$/, 60], [/^(s|secs?|seconds?)$/, 1]];
+
+// "07:59:42", "8:00", "2 h 30 min", "480 minutes", "28800 seconds" -> seconds (0 if it doesn't parse)
+function parseDuration(str) {
+  const s = String(str || '').trim();
+  const clock = s.match(/^(\d{1,3}):(\d{2})(?::(\d{2}))?/);
+  if (clock) return clock[1] * 3600 + clock[2] * 60 + (clock[3] !== undefined ? +clock[3] : 0);
+  let total = 0;
+  const re = /(\d+)\s*([a-z]+)/gi;
+  let m;
+  while ((m = re.exec(s))) {
+    const unit = DURATION_UNITS.find(([u]) => u.test(m[2].toLowerCase()));
+    if (unit) total += m[1] * unit[1];
+  }
+  return total;
+}
+
+// seconds left according to the portal page text, or 0
+function parseRemainingTime(text) {
+  const t = String(text || '');
+  for (const re of [REMAINING_BEFORE_RE, REMAINING_AFTER_RE]) {
+    const m = t.match(re);
+    const sec = m ? parseDuration(m[1]) : 0;
+    // anything shorter than a minute or longer than a week is more likely a different number
+    if (sec >= 60 && sec <= 7 * 86400) return sec;
+  }
+  return 0;
+}
+
+async function getSessions() {
+  try {
+    const res = await chrome.storage.local.get(['sessions']);
+    return (res && res.sessions) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+async function setSessionEntry(profileId, entry) {
+  const all = await getSessions();
+  if (entry) all[profileId] = entry;
+  else delete all[profileId];
+  await chrome.storage.local.set({ sessions: all });
+}
+
+// whether the portal session of `cfg` can be ended ahead of a re-login
+async function canEndSession(cfg) {
+  return (Array.isArray(cfg.logoutMacro) && cfg.logoutMacro.length > 0) || !!(await logoutUrlFor(cfg));
+}
+
+// called after a confirmed login; `remainingSec` is the portal's hint (0 = none)
+async function startSession(cfg, remainingSec) {
+  const now = Date.now();
+  const lengthSec = remainingSec || (cfg.sessionMinutes || 0) * 60;
+  const entry = { loginAt: now, expiresAt: lengthSec ? now + lengthSec * 1000 : 0, source: remainingSec ? 'portal' : (lengthSec ? 'profile' : '') };
+  await setSessionEntry(cfg.id, entry);
+  await clearSessionAlarms(cfg.id);
+  if (entry.expiresAt) {
+    const se = settings.sessionExpiry;
+    const warnAt = entry.expiresAt - se.warnBeforeMin * 60 * 1000;
+    const reloginAt = entry.expiresAt - se.reloginBeforeMin * 60 * 1000;
+    if (se.warnBeforeMin && warnAt > now) chrome.alarms.create(SESSION_WARN_ALARM_PREFIX + cfg.id, { when: warnAt });
+    if (se.relogin && reloginAt > now && await canEndSession(cfg)) chrome.alarms.create(SESSION_RELOGIN_ALARM_PREFIX + cfg.id, { when: reloginAt });
+    journal('session', originOf(cfg.loginUrl || ''), 'info', { profile: cfg.name, expiresAt: entry.expiresAt, source: entry.source });
+  }
+  log('session started for', cfg.name, entry);
+  broadcastStatus();
+}
+
+async function clearSessionAlarms(profileId) {
+  try {
+    await chrome.alarms.clear(SESSION_WARN_ALARM_PREFIX + profileId);
+    await chrome.alarms.clear(SESSION_RELOGIN_ALARM_PREFIX + profileId);
+  } catch (e) { /* ignore */ }
+}
+
+async function stopSession(profileId) {
+  await clearSessionAlarms(profileId);
+  await setSessionEntry(profileId, null);
+  broadcastStatus();
+}
+
+// whether an automatic login may run for `cfg` right now
+function autoLoginAllowed(cfg) {
+  return !isPaused() && !loggedOut && !cfg.hardFailure && isWithinSchedule(cfg);
+}
+
+async function warnSessionExpiry(profileId) {
+  const cfg = findProfile(cachedConfig, profileId);
+  if (!cfg) { await stopSession(profileId); return; }
+  const entry = (await getSessions())[profileId];
+  if (!entry || !entry.expiresAt) return;
+  const minutes = Math.max(1, Math.round((entry.expiresAt - Date.now()) / 60000));
+  const auto = autoLoginAllowed(cfg);
+  const relogin = auto && settings.sessionExpiry.relogin && await canEndSession(cfg);
+  const next = relogin ? ' The extension logs out and back in just before that.'
+    : auto ? ' The extension logs in again once it has ended.' : ' Log in again to stay connected.';
+  await notify('session-warn-' + profileId, `${cfg.name}: the portal session ends in about ${minutes} min.` + next, {
+    buttons: auto ? [] : ['retry'], profileId
+  });
+  journal('session', originOf(cfg.loginUrl || ''), 'info', { profile: cfg.name, action: 'warned', minutesLeft: minutes });
+}
+
+// log out (when we know how) and straight back in, so the portal starts a fresh session before the cut-off
+async function reloginBeforeExpiry(profileId) {
+  const cfg = findProfile(cachedConfig, profileId);
+  if (!cfg) { await stopSession(profileId); return; }
+  if (!autoLoginAllowed(cfg)) {
+    log('session of', cfg.name, 'about to end; auto-login is not active, leaving it');
+    return;
+  }
+  // the keepalive URL a logout could be derived from may have gone since the alarm was set
+  if (!(await canEndSession(cfg))) {
+    log('session of', cfg.name, 'about to end; no way to end it early, leaving it');
+    await warnSessionExpiry(profileId);
+    return;
+  }
+  journal('session', originOf(cfg.loginUrl || ''), 'info', { profile: cfg.name, action: 'relogin' });
+  await endPortalSession(cfg);
+  await checkAndLogin(true, cfg);
+}
+
+// alarm names from this module
+async function handleSessionAlarm(name) {
+  await configReady;
+  await pauseReady;
+  await loggedOutReady;
+  if (name.startsWith(SESSION_WARN_ALARM_PREFIX)) await warnSessionExpiry(name.slice(SESSION_WARN_ALARM_PREFIX.length));
+  else await reloginBeforeExpiry(name.slice(SESSION_RELOGIN_ALARM_PREFIX.length));
+}
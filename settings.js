@@ -0,0 +1,135 @@
+// settings.js - user-tunable settings shared by the options page and the worker
+// stored in chrome.storage.local `settings`; always read through normalizeSettings so missing or
+// invalid values fall back to the defaults below.
+
+// built-in connectivity probes; `expectBody` is a case-sensitive substring of the response
+const BUILTIN_PROBES = [
+  { id: 'google', label: 'Google generate_204', url: 'http://clients3.google.com/generate_204', expectStatus: 204, expectBody: '' },
+  { id: 'apple', label: 'Apple hotspot-detect', url: 'http://captive.apple.com/hotspot-detect.html', expectStatus: 200, expectBody: 'Success' },
+  { id: 'firefox', label: 'Firefox detectportal', url: 'http://detectportal.firefox.com/success.txt', expectStatus: 200, expectBody: 'success' },
+  { id: 'microsoft', label: 'Microsoft connecttest', url: 'http://www.msftconnecttest.com/connecttest.txt', expectStatus: 200, expectBody: 'Microsoft Connect Test' }
+];
+
+const PROBE_POLICIES = ['first', 'quorum'];
+
+const DEFAULT_SETTINGS = {
+  probes: {
+    enabled: ['google'],   // ids from BUILTIN_PROBES
+    custom: [],            // [{ url, expectStatus, expectBody }]
+    policy: 'first'        // 'first' definitive answer wins, or 'quorum' (majority of answering probes)
+  },
+  debug: false,
+  checkPeriodMin: 1,                 // checkConn alarm period; the only trigger for a reconnect without a navigation
+  probeUrl: 'http://neverssl.com/',  // plain-http page opened/fetched to get redirected to the portal
+  probeCooldownSec: 15,              // minimum gap between probe tabs (30/60 for less probe activity)
+  maxFieldCheckTries: 3,
+  fieldCheckIntervalMs: 1200,
+  reloadOnFirstFail: true,
+  notifySuccess: true,
+  notifySuccessCooldownMin: 3,       // throttle success notifications per origin
+  notifyLocked: true,
+  notifyFailure: true,               // one notification per portal, updated on each failed attempt
+  discoverPortals: true,             // follow the probe redirect to portals no profile covers and offer a profile
+  // log out of the active profile when the machine is idle for idleMinutes, the screen locks, or the last window closes
+  autoLogout: { onIdle: false, idleMinutes: 15, onLock: false, onLastWindowClose: false },
+  // when the portal session length is known (portal page hint or profile.sessionMinutes): warn, then log in again
+  sessionExpiry: { warnBeforeMin: 5, relogin: true, reloginBeforeMin: 2 },
+  // how long a fallback-rotation account rests after the portal rejected it, said it is over quota or in use
+  accountCooldown: { rejectedMin: 1440, quotaMin: 360, inUseMin: 15 },
+  // backoff ladder: start, double up to capSec; past that double up to maxSec, or settle
+  // on steadySec once an origin has failed steadyAfterAttempts times
+  backoff: { initialSec: 2, capSec: 16, maxSec: 60, steadySec: 5, steadyAfterAttempts: 6 }
+};
+
+// number clamped to [min, max]; `def` for anything unparsable
+function clampNumber(v, min, max, def) {
+  const n = Number(v);
+  if (v === '' || v === null || v === undefined || !isFinite(n)) return def;
+  return Math.min(max, Math.max(min, n));
+}
+
+function asBool(v, def) {
+  return typeof v === 'boolean' ? v : def;
+}
+
+function isHttpUrl(str) {
+  try { return /^https?:$/.test(new URL(str).protocol); } catch (e) { return false; }
+}
+
+function normalizeCustomProbe(p) {
+  if (!p || !isHttpUrl(p.url)) return null;
+  const status = parseInt(p.expectStatus, 10);
+  return {
+    url: String(p.url).trim(),
+    expectStatus: status >= 100 && status <= 599 ? status : 0, // 0 = any 2xx
+    expectBody: typeof p.expectBody === 'string' ? p.expectBody : ''
+  };
+}
+
+function normalizeSettings(raw) {
+  const r = raw || {};
+  const rp = r.probes || {};
+  const ids = BUILTIN_PROBES.map(p => p.id);
+  const enabled = Array.isArray(rp.enabled) ? rp.enabled.filter(id => ids.includes(id)) : DEFAULT_SETTINGS.probes.enabled.slice();
+  const custom = Array.isArray(rp.custom) ? rp.custom.map(normalizeCustomProbe).filter(Boolean) : [];
+  const d = DEFAULT_SETTINGS;
+  const rb = r.backoff || {};
+  const ra = r.autoLogout || {};
+  const rs = r.sessionExpiry || {};
+  const rc = r.accountCooldown || {};
+  const initialSec = Math.round(clampNumber(rb.initialSec, 1, 600, d.backoff.initialSec));
+  const capSec = Math.round(clampNumber(rb.capSec, initialSec, 3600, Math.max(initialSec, d.backoff.capSec)));
+  return {
+    probes: {
+      // never end up with nothing to probe
+      enabled: enabled.length || custom.length ? enabled : DEFAULT_SETTINGS.probes.enabled.slice(),
+      custom,
+      policy: PROBE_POLICIES.includes(rp.policy) ? rp.policy : DEFAULT_SETTINGS.probes.policy
+    },
+    debug: asBool(r.debug, d.debug),
+    // Chrome does not fire repeating alarms more often than every 30s
+    checkPeriodMin: clampNumber(r.checkPeriodMin, 0.5, 60, d.checkPeriodMin),
+    probeUrl: isHttpUrl(r.probeUrl) && /^http:$/.test(new URL(r.probeUrl).protocol) ? r.probeUrl : d.probeUrl,
+    probeCooldownSec: Math.round(clampNumber(r.probeCooldownSec, 0, 3600, d.probeCooldownSec)),
+    maxFieldCheckTries: Math.round(clampNumber(r.maxFieldCheckTries, 0, 20, d.maxFieldCheckTries)),
+    fieldCheckIntervalMs: Math.round(clampNumber(r.fieldCheckIntervalMs, 100, 30000, d.fieldCheckIntervalMs)),
+    reloadOnFirstFail: asBool(r.reloadOnFirstFail, d.reloadOnFirstFail),
+    notifySuccess: asBool(r.notifySuccess, d.notifySuccess),
+    notifySuccessCooldownMin: clampNumber(r.notifySuccessCooldownMin, 0, 1440, d.notifySuccessCooldownMin),
+    notifyLocked: asBool(r.notifyLocked, d.notifyLocked),
+    notifyFailure: asBool(r.notifyFailure, d.notifyFailure),
+    discoverPortals: asBool(r.discoverPortals, d.discoverPortals),
+    autoLogout: {
+      onIdle: asBool(ra.onIdle, d.autoLogout.onIdle),
+      // chrome.idle accepts 15 seconds at the least
+      idleMinutes: clampNumber(ra.idleMinutes, 1, 1440, d.autoLogout.idleMinutes),
+      onLock: asBool(ra.onLock, d.autoLogout.onLock),
+      onLastWindowClose: asBool(ra.onLastWindowClose, d.autoLogout.onLastWindowClose)
+    },
+    sessionExpiry: {
+      warnBeforeMin: Math.round(clampNumber(rs.warnBeforeMin, 0, 120, d.sessionExpiry.warnBeforeMin)), // 0 = no warning
+      relogin: asBool(rs.relogin, d.sessionExpiry.relogin),
+      reloginBeforeMin: clampNumber(rs.reloginBeforeMin, 0.5, 60, d.sessionExpiry.reloginBeforeMin)
+    },
+    accountCooldown: {
+      rejectedMin: Math.round(clampNumber(rc.rejectedMin, 1, 10080, d.accountCooldown.rejectedMin)),
+      quotaMin: Math.round(clampNumber(rc.quotaMin, 1, 10080, d.accountCooldown.quotaMin)),
+      inUseMin: Math.round(clampNumber(rc.inUseMin, 1, 10080, d.accountCooldown.inUseMin))
+    },
+    backoff: {
+      initialSec,
+      capSec,
+      maxSec: Math.round(clampNumber(rb.maxSec, capSec, 3600, Math.max(capSec, d.backoff.maxSec))),
+      steadySec: Math.round(clampNumber(rb.steadySec, 1, 3600, d.backoff.steadySec)),
+      steadyAfterAttempts: Math.round(clampNumber(rb.steadyAfterAttempts, 1, 100, d.backoff.steadyAfterAttempts))
+    }
+  };
+}
+
+// the probe list the worker actually runs
+function activeProbes(settings) {
+  const s = normalizeSettings(settings);
+  const builtins = BUILTIN_PROBES.filter(p => s.probes.enabled.includes(p.id));
+  const custom = s.probes.custom.map((p, i) => Object.assign({ id: 'custom' + (i + 1), label: p.url }, p));
+  return builtins.concat(custom);
+}
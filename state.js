@@ -0,0 +1,103 @@
+// state.js - worker retry/tab state that has to survive MV3 service-worker restarts
+// loaded by service_worker.js via importScripts (uses its log/warn helpers and checkAndLogin).
+// MV3 stops the worker whenever it is idle, so everything here is mirrored into chrome.storage.session
+// (in memory, cleared when the browser restarts) and restored by restoreState() on wake.
+
+const STATE_KEY = 'workerState';
+const IN_FLIGHT_STALE_MS = 2 * 60 * 1000; // an attempt older than this belongs to a worker that died mid-run
+const RETRY_ALARM = 'retryLogin';
+// Chrome fires an alarm no sooner than 30s after it is set; shorter backoff steps also get a timer
+const MIN_ALARM_DELAY_MS = 30 * 1000;
+
+let retryTimer = null;
+
+const state = {
+  backoffSeconds: 0,
+  nextAttemptAt: 0,             // earliest time the next (non-forced) attempt may run
+  probeTabId: null,
+  lastProbeTime: 0,
+  failedAttemptsByOrigin: {},
+  lastSuccessNotifiedAt: {},
+  createdTabIds: [],            // tabs the extension opened and may close again
+  inFlightOrigins: {},          // origin -> attempt start time
+  lastConn: { state: 'unknown', at: 0, portalUrl: '' }, // latest connectivity verdict
+  lastLoginAt: 0,               // last attempt after which the internet was reachable
+  activeProfileId: null         // profile of the latest attempt
+};
+
+// called after every saveState (the popup's live status panel listens through status.js)
+const stateListeners = [];
+
+async function restoreState() {
+  try {
+    const res = await chrome.storage.session.get([STATE_KEY]);
+    if (res && res[STATE_KEY]) Object.assign(state, res[STATE_KEY]);
+    log('Restored worker state:', { backoffSeconds: state.backoffSeconds, createdTabIds: state.createdTabIds });
+  } catch (e) {
+    warn('restoreState failed', e);
+  }
+}
+const stateReady = restoreState();
+
+async function saveState() {
+  try {
+    await chrome.storage.session.set({ [STATE_KEY]: state });
+  } catch (e) {
+    warn('saveState failed', e);
+  }
+  stateListeners.forEach(fn => { try { fn(); } catch (e) { warn('state listener failed', e); } });
+}
+
+function isInFlight(origin) {
+  const startedAt = state.inFlightOrigins[origin];
+  return !!startedAt && (Date.now() - startedAt) < IN_FLIGHT_STALE_MS;
+}
+
+function markInFlight(origin) {
+  state.inFlightOrigins[origin] = Date.now();
+  return saveState();
+}
+
+function clearInFlight(origin) {
+  if (!(origin in state.inFlightOrigins)) return Promise.resolve();
+  delete state.inFlightOrigins[origin];
+  return saveState();
+}
+
+function isCreatedTab(tabId) {
+  return state.createdTabIds.includes(tabId);
+}
+
+function trackCreatedTab(tabId) {
+  if (!isCreatedTab(tabId)) state.createdTabIds.push(tabId);
+  return saveState();
+}
+
+function untrackCreatedTab(tabId) {
+  state.createdTabIds = state.createdTabIds.filter(id => id !== tabId);
+  if (state.probeTabId === tabId) state.probeTabId = null;
+  return saveState();
+}
+
+// set the backoff and schedule the follow-up attempt as an alarm, so it survives the worker stopping.
+// Steps under Chrome's 30s alarm minimum run from a timer; the alarm stays as the fallback in case the
+// worker stops before the timer fires.
+function setBackoff(seconds) {
+  state.backoffSeconds = seconds;
+  state.nextAttemptAt = seconds ? Date.now() + seconds * 1000 : 0;
+  if (retryTimer) { clearTimeout(retryTimer); retryTimer = null; }
+  if (seconds) {
+    chrome.alarms.create(RETRY_ALARM, { when: state.nextAttemptAt });
+    if (seconds * 1000 < MIN_ALARM_DELAY_MS) retryTimer = setTimeout(runShortRetry, seconds * 1000);
+  } else {
+    chrome.alarms.clear(RETRY_ALARM);
+  }
+  return saveState();
+}
+
+function runShortRetry() {
+  retryTimer = null;
+  chrome.alarms.clear(RETRY_ALARM);
+  log('Short backoff over; retrying');
+  checkAndLogin(false);
+}
@@ -0,0 +1,72 @@
+// status.js - live connection status for the popup
+// loaded by service_worker.js via importScripts (uses its log/warn helpers, cachedConfig and `state`).
+// The popup opens a long-lived port named 'status'; every saved state change pushes a fresh snapshot:
+// { conn, checkedAt, portalUrl, profile: { id, name } | null, lastLoginAt, backoffSeconds, nextAttemptAt,
+//   nextCheckAt, inFlight, paused: { mode, until } | null, outsideSchedule, loggedOut: { profileId, at, reason } | null,
+//   session: { loginAt, expiresAt, source } | null, account: see accountStatus (accounts.js) | null }
+
+const STATUS_PORT = 'status';
+
+const statusPorts = new Set();
+
+// record the latest probe verdict so the popup can show it without probing again
+function noteConnectivity(res) {
+  const prev = state.lastConn || {};
+  state.lastConn = { state: res.state, at: Date.now(), portalUrl: res.portalUrl || '' };
+  if (prev.state !== res.state) log('connectivity changed:', prev.state, '->', res.state);
+  return saveState();
+}
+
+async function statusSnapshot() {
+  await stateReady;
+  await pauseReady;
+  await loggedOutReady;
+  await configReady;
+  // the sooner of the periodic check and a pending backoff retry
+  let nextCheckAt = 0;
+  try {
+    const alarms = await chrome.alarms.getAll();
+    const times = alarms.filter(a => a.name === 'checkConn' || a.name === RETRY_ALARM).map(a => a.scheduledTime);
+    if (times.length) nextCheckAt = Math.min(...times);
+  } catch (e) { /* ignore */ }
+  const p = findProfile(cachedConfig, state.activeProfileId) || getDefaultProfile(cachedConfig);
+  return {
+    conn: state.lastConn.state,
+    checkedAt: state.lastConn.at,
+    portalUrl: state.lastConn.portalUrl,
+    profile: p ? { id: p.id, name: p.name } : null,
+    lastLoginAt: state.lastLoginAt,
+    backoffSeconds: state.backoffSeconds,
+    nextAttemptAt: state.nextAttemptAt,
+    nextCheckAt,
+    inFlight: Object.keys(state.inFlightOrigins).some(isInFlight),
+    paused: isPaused() ? pauseState : null,
+    outsideSchedule: p ? !isWithinSchedule(p) : false,
+    loggedOut,
+    session: p ? (await getSessions())[p.id] || null : null,
+    account: await accountStatus(p)
+  };
+}
+
+async function broadcastStatus() {
+  if (!statusPorts.size) return;
+  const snap = await statusSnapshot();
+  statusPorts.forEach(port => {
+    try { port.postMessage(snap); } catch (e) { statusPorts.delete(port); }
+  });
+}
+
+stateListeners.push(broadcastStatus);
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== STATUS_PORT) return;
+  statusPorts.add(port);
+  port.onDisconnect.addListener(() => statusPorts.delete(port));
+  (async () => {
+    await configReady;
+    await settingsReady;
+    try { port.postMessage(await statusSnapshot()); } catch (e) { return; }
+    // refresh the connectivity verdict while the popup is looking; the result is pushed by noteConnectivity
+    try { await checkConnectivity(); } catch (e) { warn('status refresh failed', e); }
+  })();
+});
@@ -0,0 +1,57 @@
+// vault.js - encrypted credential storage (WebCrypto AES-GCM, key derived from a user PIN with PBKDF2)
+// loaded by service_worker.js via importScripts.
+// chrome.storage.local `vault`: { v: 1, salt, iv, data, unlockMinutes } (base64; data decrypts to { [profileId]: { username, password } })
+// The derived key is never written to local storage; while unlocked it is kept in worker memory and
+// in chrome.storage.session so a restarted worker does not have to ask for the PIN again.
+
+const VAULT_KDF_ITERATIONS = 310000;
+
+function bytesToB64(buf) {
+  const bytes = new Uint8Array(buf);
+  let bin = '';
+  for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+  return btoa(bin);
+}
+
+function b64ToBytes(str) {
+  const bin = atob(str || '');
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+async function deriveVaultKey(pin, salt) {
+  const base = await crypto.subtle.importKey('raw', new TextEncoder().encode(String(pin)), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: VAULT_KDF_ITERATIONS, hash: 'SHA-256' },
+    base,
+    { name: 'AES-GCM', length: 256 },
+    true, // extractable so the unlocked key can be parked in chrome.storage.session
+    ['encrypt', 'decrypt']
+  );
+}
+
+async function exportVaultKey(key) {
+  return bytesToB64(await crypto.subtle.exportKey('raw', key));
+}
+
+async function importVaultKey(b64) {
+  return crypto.subtle.importKey('raw', b64ToBytes(b64), { name: 'AES-GCM' }, true, ['encrypt', 'decrypt']);
+}
+
+// encrypt `creds` into a vault record; the salt is kept so the same PIN derives the same key
+async function sealVault(key, salt, creds, unlockMinutes) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(creds || {})));
+  return { v: 1, salt: bytesToB64(salt), iv: bytesToB64(iv), data: bytesToB64(data), unlockMinutes };
+}
+
+// throws (OperationError) when the key is wrong, i.e. the PIN did not match
+async function openVault(key, record) {
+  const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: b64ToBytes(record.iv) }, key, b64ToBytes(record.data));
+  return JSON.parse(new TextDecoder().decode(plain));
+}
+
+function newVaultSalt() {
+  return crypto.getRandomValues(new Uint8Array(16));
+}